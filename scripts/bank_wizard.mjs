@@ -1,24 +1,117 @@
 #!/usr/bin/env node
 
 import fs from 'node:fs/promises';
+import os from 'node:os';
 import path from 'node:path';
 import readline from 'node:readline/promises';
 import { stdin as input, stdout as output } from 'node:process';
 import { fileURLToPath } from 'node:url';
+import { parseArgs } from 'node:util';
 
 const scriptDir = path.dirname(fileURLToPath(import.meta.url));
 const defaultRoot = path.resolve(scriptDir, '..');
 const rootDir = process.env.AUTO_PREVIEW_ROOT || defaultRoot;
-const dataDir = path.join(rootDir, 'data');
-const captionsPath = path.join(dataDir, 'captions.json');
-const hashtagsPath = path.join(dataDir, 'hashtags.json');
+const channelsConfigPath = path.join(rootDir, 'data', 'channels.json');
+
+// Bank paths follow the chosen channel; the root data/ dir is used when no channel is picked.
+let activeChannel = null;
+let dataDir;
+let captionsPath;
+let hashtagsPath;
+let captionVarsPath;
+let backupsDir;
+useDataDir(path.join(rootDir, 'data'));
+
+// Keep in sync with BUILTIN_TEMPLATE_VARIABLES in run_job.mjs.
+const BUILTIN_TEMPLATE_VARIABLES = ['date_wib', 'day_name', 'image_count', 'video_count', 'job_name'];
+const TEMPLATE_VARIABLE_PATTERN = /\{\s*([a-z_][a-z0-9_]*)\s*\}/gi;
 
 const yesPattern = /^(y|yes|ya|iya|1)$/i;
 
+const BANK_TYPES = { caption: 'captions', captions: 'captions', hashtag: 'hashtags', hashtags: 'hashtags' };
+const COMMANDS = ['list', 'add', 'edit', 'remove', 'reset-usage', 'stats', 'import', 'export', 'backups', 'restore', 'help'];
+// Commands that read-modify-write a bank run entirely inside the shared bank lock.
+const MUTATING_COMMANDS = new Set(['add', 'edit', 'remove', 'reset-usage', 'import', 'restore']);
+// Exit codes: 0 = ok, 1 = runtime/validation error, 2 = wrong usage.
+const EXIT_USAGE = 2;
+// Keep in sync with withBankLock in run_job.mjs.
+const BANK_LOCK_WAIT_MS = 15 * 1000;
+const BANK_LOCK_STALE_MS = 2 * 60 * 1000;
+const DEFAULT_BANK_BACKUPS = 20;
+
+const USAGE = `Pemakaian:
+  node scripts/bank_wizard.mjs                      wizard interaktif
+  node scripts/bank_wizard.mjs list <captions|hashtags> [--json]
+  node scripts/bank_wizard.mjs add caption "<teks>" [--categories a,b] [--weight N]
+  node scripts/bank_wizard.mjs add hashtag <tag...> [--categories a,b] [--weight N] [--pinned]
+  node scripts/bank_wizard.mjs edit caption <nomor> ["<teks>"] [--categories a,b] [--weight N] [--expect "<teks lama>"]
+  node scripts/bank_wizard.mjs edit hashtag <nomor> [<tag>] [--categories a,b] [--weight N] [--pinned|--unpinned] [--expect <tag lama>]
+  node scripts/bank_wizard.mjs remove <caption|hashtag> <nomor> [--expect "<teks/tag lama>"]
+  node scripts/bank_wizard.mjs reset-usage [<nomor caption...>]
+  node scripts/bank_wizard.mjs stats [--json]
+  node scripts/bank_wizard.mjs import <caption|hashtag> <file.csv|txt|jsonl> [--dry-run] [--categories a,b] [--weight N] [--pinned]
+  node scripts/bank_wizard.mjs export <caption|hashtag> [<file.csv|txt|jsonl>] [--format csv|txt|jsonl]
+  node scripts/bank_wizard.mjs backups [caption|hashtag] [--json]
+  node scripts/bank_wizard.mjs restore <caption|hashtag> [<nomor|nama file backup>]
+
+Semua command bisa ditambah --channel <nama> buat edit bank channel itu (lihat data/channels.json).
+--categories "-" = umum (hapus kategori).`;
+
+// With --json, stdout carries only the result object, so command messages go to stderr.
+let jsonOutput = false;
+
+function say(message) {
+  if (jsonOutput) {
+    console.error(message);
+    return;
+  }
+  console.log(message);
+}
+
 function isYes(value) {
   return yesPattern.test(String(value).trim());
 }
 
+function normalizeCategories(raw) {
+  const list = Array.isArray(raw) ? raw : typeof raw === 'string' ? raw.split(',') : [];
+  return [...new Set(list.map((category) => String(category).trim().toLowerCase()).filter(Boolean))];
+}
+
+function normalizeWeight(raw) {
+  const value = Number(raw);
+  return Number.isFinite(value) && value > 0 ? value : 1;
+}
+
+function formatBankMeta(entry) {
+  const parts = [];
+  if (entry.categories.length > 0) parts.push(`kategori: ${entry.categories.join(', ')}`);
+  if (entry.weight !== 1) parts.push(`bobot: ${entry.weight}`);
+  if (entry.pinned) parts.push('pinned');
+  return parts.length > 0 ? ` (${parts.join('; ')})` : '';
+}
+
+// Defaults stay implicit on disk so plain banks keep their original shape.
+function serializeCaptions(captions) {
+  return captions.map(({ categories, weight, ...entry }) => ({
+    ...entry,
+    ...(categories.length > 0 ? { categories } : {}),
+    ...(weight !== 1 ? { weight } : {}),
+  }));
+}
+
+function serializeHashtags(hashtags) {
+  return hashtags.map((entry) =>
+    entry.categories.length === 0 && entry.weight === 1 && !entry.pinned
+      ? entry.tag
+      : {
+          tag: entry.tag,
+          ...(entry.categories.length > 0 ? { categories: entry.categories } : {}),
+          ...(entry.weight !== 1 ? { weight: entry.weight } : {}),
+          ...(entry.pinned ? { pinned: true } : {}),
+        },
+  );
+}
+
 function normalizeCaptions(raw) {
   if (!Array.isArray(raw)) return [];
 
@@ -28,7 +121,7 @@ function normalizeCaptions(raw) {
     if (typeof entry === 'string') {
       const text = entry.trim();
       if (!text) continue;
-      normalized.push({ id: fallbackId, text, used: false, used_at: null });
+      normalized.push({ id: fallbackId, text, categories: [], weight: 1, used: false, used_at: null });
       fallbackId += 1;
       continue;
     }
@@ -49,6 +142,8 @@ function normalizeCaptions(raw) {
     normalized.push({
       id,
       text,
+      categories: normalizeCategories(entry.categories),
+      weight: normalizeWeight(entry.weight),
       used: Boolean(entry.used),
       used_at: entry.used_at ?? null,
     });
@@ -86,11 +181,52 @@ function normalizeHashtags(raw) {
     const key = normalized.toLowerCase();
     if (seen.has(key)) continue;
     seen.add(key);
-    result.push(normalized);
+
+    const isObject = entry && typeof entry === 'object';
+    result.push({
+      tag: normalized,
+      categories: isObject ? normalizeCategories(entry.categories) : [],
+      weight: isObject ? normalizeWeight(entry.weight) : 1,
+      pinned: isObject && entry.pinned === true,
+    });
   }
   return result;
 }
 
+async function loadKnownTemplateVariables() {
+  const custom = await readJson(captionVarsPath, {});
+  const customNames = custom && typeof custom === 'object' && !Array.isArray(custom) ? Object.keys(custom) : [];
+  return new Set([...BUILTIN_TEMPLATE_VARIABLES, ...customNames]);
+}
+
+function findTemplateProblems(text, knownVariables) {
+  const problems = [];
+  let depth = 0;
+  for (const char of text) {
+    if (char === '{') depth += 1;
+    if (char === '}') depth -= 1;
+    if (depth < 0) break;
+  }
+  if (depth !== 0) {
+    problems.push('kurung { } ga seimbang');
+  }
+
+  for (const match of text.matchAll(TEMPLATE_VARIABLE_PATTERN)) {
+    if (!knownVariables.has(match[1])) {
+      problems.push(`variabel {${match[1]}} ga dikenal`);
+    }
+  }
+  return problems;
+}
+
+function reportTemplateProblems(text, knownVariables) {
+  const problems = findTemplateProblems(text, knownVariables);
+  if (problems.length === 0) return false;
+  console.log(`Caption ditolak: ${problems.join(', ')}.`);
+  console.log(`Variabel yang valid: ${[...knownVariables].map((name) => `{${name}}`).join(' ')}`);
+  return true;
+}
+
 async function readJson(filePath, fallbackValue) {
   try {
     const content = await fs.readFile(filePath, 'utf8');
@@ -101,9 +237,167 @@ async function readJson(filePath, fallbackValue) {
   }
 }
 
+// Temp file + fsync + rename, so a crash mid-save never leaves a truncated bank.
 async function writeJson(filePath, value) {
   const content = JSON.stringify(value, null, 2);
-  await fs.writeFile(filePath, `${content}\n`, 'utf8');
+  const tempPath = `${filePath}.${process.pid}.tmp`;
+  const handle = await fs.open(tempPath, 'w', 0o644);
+  try {
+    await handle.writeFile(`${content}\n`, 'utf8');
+    await handle.sync();
+  } finally {
+    await handle.close();
+  }
+  await fs.rename(tempPath, filePath);
+}
+
+function isProcessAlive(pid) {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (error) {
+    return error.code === 'EPERM';
+  }
+}
+
+async function isBankLockStale(lockPath) {
+  try {
+    const [content, stat] = await Promise.all([fs.readFile(lockPath, 'utf8'), fs.stat(lockPath)]);
+    if (Date.now() - stat.mtimeMs > BANK_LOCK_STALE_MS) return true;
+    const holder = JSON.parse(content);
+    return holder.hostname === os.hostname() && Number.isInteger(holder.pid) && !isProcessAlive(holder.pid);
+  } catch {
+    return false;
+  }
+}
+
+// Same data/.bank.lock as run_job.mjs, so a run marking a caption used and a bank edit
+// never interleave their read-modify-write.
+async function withBankLock(callback) {
+  const lockPath = path.join(dataDir, '.bank.lock');
+  const deadline = Date.now() + BANK_LOCK_WAIT_MS;
+  while (true) {
+    try {
+      await fs.writeFile(lockPath, JSON.stringify({ hostname: os.hostname(), pid: process.pid, acquired_at: new Date().toISOString() }), {
+        flag: 'wx',
+      });
+      break;
+    } catch (error) {
+      if (error.code !== 'EEXIST') throw error;
+    }
+    if (await isBankLockStale(lockPath)) {
+      await fs.rm(lockPath, { force: true });
+      continue;
+    }
+    if (Date.now() > deadline) {
+      throw new Error(`Bank lagi dikunci proses lain (${lockPath}). Coba lagi bentar.`);
+    }
+    await new Promise((resolve) => setTimeout(resolve, 100));
+  }
+
+  try {
+    return await callback();
+  } finally {
+    await fs.rm(lockPath, { force: true });
+  }
+}
+
+function resolveBackupLimit() {
+  const raw = process.env.AUTO_PREVIEW_BANK_BACKUPS;
+  if (!raw) return DEFAULT_BANK_BACKUPS;
+  const parsed = Number(raw);
+  if (!Number.isInteger(parsed) || parsed < 0) {
+    throw new Error(`AUTO_PREVIEW_BANK_BACKUPS harus angka bulat >= 0. Dapet: "${raw}".`);
+  }
+  return parsed;
+}
+
+async function listBackups(type) {
+  try {
+    // Timestamped names sort chronologically, newest first after reverse().
+    return (await fs.readdir(backupsDir))
+      .filter((name) => name.startsWith(`${type}-`) && name.endsWith('.json'))
+      .sort()
+      .reverse();
+  } catch (error) {
+    if (error.code === 'ENOENT') return [];
+    throw error;
+  }
+}
+
+async function backupBank(type) {
+  const limit = resolveBackupLimit();
+  if (limit === 0) return null;
+
+  let content;
+  try {
+    content = await fs.readFile(type === 'captions' ? captionsPath : hashtagsPath, 'utf8');
+  } catch (error) {
+    if (error.code === 'ENOENT') return null;
+    throw error;
+  }
+
+  await fs.mkdir(backupsDir, { recursive: true });
+  const name = `${type}-${new Date().toISOString().replace(/[:.]/g, '-')}.json`;
+  await fs.writeFile(path.join(backupsDir, name), content, 'utf8');
+  for (const oldName of (await listBackups(type)).slice(limit)) {
+    await fs.rm(path.join(backupsDir, oldName), { force: true });
+  }
+  return name;
+}
+
+// Every save keeps the previous file under data/backups/ first.
+async function writeBank(type, value) {
+  await backupBank(type);
+  await writeJson(type === 'captions' ? captionsPath : hashtagsPath, value);
+}
+
+function useDataDir(nextDataDir) {
+  dataDir = nextDataDir;
+  captionsPath = path.join(dataDir, 'captions.json');
+  hashtagsPath = path.join(dataDir, 'hashtags.json');
+  captionVarsPath = path.join(dataDir, 'caption_vars.json');
+  backupsDir = path.join(dataDir, 'backups');
+}
+
+// Keep in sync with normalizeChannel in run_job.mjs; only the data dir matters here.
+async function loadChannels() {
+  const raw = await readJson(channelsConfigPath, { channels: {} });
+  if (!raw || typeof raw.channels !== 'object' || raw.channels === null || Array.isArray(raw.channels)) {
+    throw new Error('channels.json harus object yang punya "channels".');
+  }
+  return Object.entries(raw.channels).map(([name, channel]) => {
+    const baseDir = path.resolve(rootDir, channel?.dir ?? path.join('channels', name));
+    return { name, dataDir: channel?.data_dir ? path.resolve(rootDir, channel.data_dir) : path.join(baseDir, 'data') };
+  });
+}
+
+async function useChannel(name) {
+  const channels = await loadChannels();
+  const channel = channels.find((entry) => entry.name === name);
+  if (!channel) {
+    const known = channels.map((entry) => entry.name);
+    throw new Error(`Channel "${name}" ga ada. ${known.length > 0 ? `Pilihan: ${known.join(', ')}.` : `Belum ada channel di ${channelsConfigPath}.`}`);
+  }
+  activeChannel = channel.name;
+  useDataDir(channel.dataDir);
+}
+
+async function askChannel(rl) {
+  const channels = await loadChannels();
+  if (channels.length === 0) return;
+
+  console.log('\nMau edit bank channel mana?');
+  console.log('0) Utama (data/ di root)');
+  channels.forEach((channel, index) => console.log(`${index + 1}) ${channel.name}`));
+  const answer = await askChoice(
+    rl,
+    `Pilih [0-${channels.length}]: `,
+    ['0', ...channels.map((_, index) => String(index + 1))],
+  );
+  if (answer === '0') return;
+  activeChannel = channels[Number(answer) - 1].name;
+  useDataDir(channels[Number(answer) - 1].dataDir);
 }
 
 async function askChoice(rl, prompt, validChoices) {
@@ -128,6 +422,26 @@ async function askIndex(rl, prompt, max) {
   }
 }
 
+async function askCategoriesAndWeight(rl, label, current) {
+  const categoriesRaw = await rl.question(
+    `Kategori ${label} (pisah koma, "-" = umum, Enter kosong = tetap ${current.categories.join(', ') || 'umum'}): `,
+  );
+  const categories =
+    categoriesRaw.trim() === '-'
+      ? []
+      : categoriesRaw.trim()
+        ? normalizeCategories(categoriesRaw)
+        : current.categories;
+
+  while (true) {
+    const weightRaw = (await rl.question(`Bobot ${label} (angka > 0, Enter kosong = tetap ${current.weight}): `)).trim();
+    if (!weightRaw) return { categories, weight: current.weight };
+    const weight = Number(weightRaw);
+    if (Number.isFinite(weight) && weight > 0) return { categories, weight };
+    console.log('Bobot harus angka lebih dari 0.');
+  }
+}
+
 function truncateText(text, max = 100) {
   const raw = String(text ?? '').trim();
   if (raw.length <= max) return raw;
@@ -138,22 +452,248 @@ function reindexCaptions(captions) {
   return captions.map((entry, index) => ({ ...entry, id: index + 1 }));
 }
 
-async function manageCaptions(rl, currentCaptions) {
+const BANK_FILE_FORMATS = new Set(['csv', 'txt', 'jsonl']);
+const CSV_COLUMNS = {
+  captions: ['id', 'text', 'categories', 'weight', 'used', 'used_at'],
+  hashtags: ['tag', 'categories', 'weight', 'pinned'],
+};
+
+function resolveFileFormat(filePath, explicitFormat) {
+  const format = (explicitFormat ?? path.extname(filePath ?? '').slice(1)).toLowerCase();
+  if (!BANK_FILE_FORMATS.has(format)) {
+    throw new Error(
+      `Format "${format || filePath}" ga didukung. Pake ${[...BANK_FILE_FORMATS].join(', ')} (atau --format).`,
+    );
+  }
+  return format;
+}
+
+function parseBoolean(raw) {
+  if (typeof raw === 'boolean') return raw;
+  return /^true$/i.test(String(raw ?? '').trim()) || isYes(raw ?? '');
+}
+
+// RFC 4180-ish: quoted fields may hold commas, newlines and doubled quotes.
+function parseCsv(content) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  const text = content.replace(/^\uFEFF/, '');
+  for (let index = 0; index < text.length; index += 1) {
+    const char = text[index];
+    if (quoted) {
+      if (char === '"' && text[index + 1] === '"') {
+        field += '"';
+        index += 1;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[index + 1] === '\n') index += 1;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (field || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows.filter((cells) => cells.some((cell) => cell.trim()));
+}
+
+function toCsvField(value) {
+  const text = Array.isArray(value) ? value.join(',') : String(value ?? '');
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Spreadsheet exports get a header row; a file without one is read as one value per row.
+function csvRowsToRecords(type, rows) {
+  if (rows.length === 0) return [];
+  const header = rows[0].map((cell) => cell.trim().toLowerCase());
+  const valueColumn = type === 'captions' ? ['text', 'caption'] : ['tag', 'hashtag'];
+  if (!header.some((cell) => valueColumn.includes(cell))) {
+    return rows.map((cells) => (type === 'captions' ? { text: cells[0] } : { tag: cells[0] }));
+  }
+
+  return rows.slice(1).map((cells) =>
+    Object.fromEntries(
+      header.map((key, index) => [key === 'caption' ? 'text' : key === 'hashtag' ? 'tag' : key, cells[index] ?? '']),
+    ),
+  );
+}
+
+async function readBankFile(type, filePath, format) {
+  const content = await fs.readFile(filePath, 'utf8');
+  if (format === 'csv') {
+    return csvRowsToRecords(type, parseCsv(content));
+  }
+
+  const lines = content
+    .split(/\r?\n/)
+    .map((line) => line.trim())
+    .filter(Boolean);
+  if (format === 'txt') {
+    if (type === 'captions') return lines.map((text) => ({ text }));
+    return lines.flatMap((line) => line.split(/[\s,]+/).filter(Boolean)).map((tag) => ({ tag }));
+  }
+
+  return lines.map((line, index) => {
+    let value;
+    try {
+      value = JSON.parse(line);
+    } catch (error) {
+      throw new Error(`${filePath} baris ${index + 1} bukan JSON valid. ${error.message}`);
+    }
+    if (typeof value === 'string') return type === 'captions' ? { text: value } : { tag: value };
+    return value && typeof value === 'object' ? value : {};
+  });
+}
+
+function captionDedupeKey(text) {
+  return text.replace(/\s+/g, ' ').trim().toLowerCase();
+}
+
+// run_job marks and releases captions by text, so two entries with the same text can't coexist.
+function findDuplicateCaption(captions, text, exceptIndex = -1) {
+  const key = captionDedupeKey(text);
+  return captions.findIndex((entry, index) => index !== exceptIndex && captionDedupeKey(entry.text) === key);
+}
+
+// Returns the merged bank plus what got added/skipped, so callers can preview before saving.
+function planBankImport(type, existing, records, defaults, knownVariables) {
+  const entries = [...existing];
+  const added = [];
+  const skipped = [];
+  const keyOf = (entry) => (type === 'captions' ? captionDedupeKey(entry.text) : entry.tag.toLowerCase());
+  const existingKeys = new Set(existing.map(keyOf));
+  const importedKeys = new Set();
+
+  for (const record of records) {
+    const value = String((type === 'captions' ? record.text ?? record.caption : record.tag ?? record.hashtag) ?? '');
+    const meta = {
+      categories: record.categories ? normalizeCategories(record.categories) : defaults.categories,
+      weight: record.weight !== undefined && record.weight !== '' ? normalizeWeight(record.weight) : defaults.weight,
+    };
+
+    let entry;
+    if (type === 'captions') {
+      const text = value.trim();
+      if (!text) continue;
+      const used = parseBoolean(record.used);
+      entry = { id: entries.length + 1, text, ...meta, used, used_at: used ? record.used_at || null : null };
+      const problems = findTemplateProblems(text, knownVariables);
+      if (problems.length > 0) {
+        skipped.push({ value: text, reason: problems.join(', ') });
+        continue;
+      }
+    } else {
+      const tag = normalizeHashtag(value);
+      if (!tag) continue;
+      const pinned = record.pinned !== undefined && record.pinned !== '' ? parseBoolean(record.pinned) : defaults.pinned;
+      entry = { tag, ...meta, pinned };
+    }
+
+    const key = keyOf(entry);
+    const label = type === 'captions' ? entry.text : entry.tag;
+    if (existingKeys.has(key)) {
+      skipped.push({ value: label, reason: 'udah ada di bank' });
+      continue;
+    }
+    if (importedKeys.has(key)) {
+      skipped.push({ value: label, reason: 'dobel di file' });
+      continue;
+    }
+    importedKeys.add(key);
+    entries.push(entry);
+    added.push(entry);
+  }
+
+  return { entries, added, skipped };
+}
+
+function printImportPreview(type, plan) {
+  const describe = (value) => (type === 'captions' ? `"${truncateText(value.replace(/\s+/g, ' '), 70)}"` : value);
+  say(`Bakal ditambah (${plan.added.length}):`);
+  plan.added.forEach((entry) => say(`  + ${describe(type === 'captions' ? entry.text : entry.tag)}${formatBankMeta(entry)}`));
+  say(`Dilewat (${plan.skipped.length}):`);
+  plan.skipped.forEach((entry) => say(`  - ${describe(entry.value)}: ${entry.reason}`));
+}
+
+function formatBankFile(type, entries, format) {
+  if (format === 'jsonl') {
+    return entries.map((entry) => `${JSON.stringify(entry)}\n`).join('');
+  }
+  if (format === 'txt') {
+    return entries.map((entry) => `${type === 'captions' ? entry.text.replace(/\s*\n\s*/g, ' ') : entry.tag}\n`).join('');
+  }
+
+  const columns = CSV_COLUMNS[type];
+  const rows = entries.map((entry) => columns.map((column) => toCsvField(entry[column])).join(','));
+  return `${[columns.join(','), ...rows].join('\r\n')}\r\n`;
+}
+
+async function askImportFile(rl, type, current, knownVariables) {
+  const label = type === 'captions' ? 'caption' : 'hashtag';
+  const filePath = (await rl.question(`Import ${label} dari file CSV/TXT/JSONL? (path, Enter kosong = skip): `)).trim();
+  if (!filePath) return current;
+
+  try {
+    const records = await readBankFile(type, filePath, resolveFileFormat(filePath));
+    const plan = planBankImport(type, current, records, { categories: [], weight: 1, pinned: false }, knownVariables);
+    printImportPreview(type, plan);
+    if (plan.added.length === 0) return current;
+    if (!isYes(await rl.question(`Masukin ${plan.added.length} ${label} ini? (y/N): `))) {
+      console.log('Import dibatalin.');
+      return current;
+    }
+    return plan.entries;
+  } catch (error) {
+    console.log(`Import gagal: ${error.message}`);
+    return current;
+  }
+}
+
+// The wizard can sit open for minutes. Usage marks from runs are merged on save, but real
+// edits from someone else (dashboard, CLI, another wizard) need an explicit overwrite.
+async function confirmBankUnchanged(rl, type, loadedEntries) {
+  const contentKey = (entries) =>
+    JSON.stringify(entries.map(({ id, used, used_at: usedAt, ...rest }) => rest));
+  const latest = await loadBank(type);
+  if (contentKey(latest) === contentKey(loadedEntries)) return true;
+  return isYes(
+    await rl.question(`${type}.json udah diubah proses lain sejak wizard dibuka. Timpa pake versi wizard? (y/N): `),
+  );
+}
+
+async function manageCaptions(rl, currentCaptions, knownVariables) {
   let captions = reindexCaptions([...currentCaptions]);
 
   while (captions.length > 0) {
     console.log('\nCaption yang ada sekarang:');
     captions.forEach((entry, index) => {
       const usage = entry.used ? 'used' : 'fresh';
-      console.log(`${index + 1}. ${truncateText(entry.text)} [${usage}]`);
+      console.log(`${index + 1}. ${truncateText(entry.text)} [${usage}]${formatBankMeta(entry)}`);
     });
 
     console.log('\nMenu caption:');
     console.log('1) Edit caption by nomor');
     console.log('2) Hapus caption by nomor');
-    console.log('3) Lanjut');
-    const action = await askChoice(rl, 'Pilih [1-3]: ', ['1', '2', '3']);
-    if (action === '3') break;
+    console.log('3) Atur kategori/bobot caption by nomor');
+    console.log('4) Lanjut');
+    const action = await askChoice(rl, 'Pilih [1-4]: ', ['1', '2', '3', '4']);
+    if (action === '4') break;
 
     const index = await askIndex(
       rl,
@@ -169,11 +709,26 @@ async function manageCaptions(rl, currentCaptions) {
         console.log('Edit dibatalin.');
         continue;
       }
+      if (reportTemplateProblems(replacement, knownVariables)) {
+        continue;
+      }
+      const duplicateIndex = findDuplicateCaption(captions, replacement, index);
+      if (duplicateIndex >= 0) {
+        console.log(`Caption ditolak: udah ada di nomor ${duplicateIndex + 1}.`);
+        continue;
+      }
       captions[index] = { ...current, text: replacement };
       console.log(`Caption #${index + 1} diupdate.`);
       continue;
     }
 
+    if (action === '3') {
+      const meta = await askCategoriesAndWeight(rl, `caption #${index + 1}`, captions[index]);
+      captions[index] = { ...captions[index], ...meta };
+      console.log(`Caption #${index + 1} diupdate${formatBankMeta(captions[index]) || ' (umum)'}.`);
+      continue;
+    }
+
     const removed = captions.splice(index, 1)[0];
     captions = reindexCaptions(captions);
     console.log(`Caption #${index + 1} dihapus: "${truncateText(removed.text, 60)}"`);
@@ -187,16 +742,18 @@ async function manageHashtags(rl, currentHashtags) {
 
   while (hashtags.length > 0) {
     console.log('\nHashtag yang ada sekarang:');
-    hashtags.forEach((tag, index) => {
-      console.log(`${index + 1}. ${tag}`);
+    hashtags.forEach((entry, index) => {
+      console.log(`${index + 1}. ${entry.tag}${formatBankMeta(entry)}`);
     });
 
     console.log('\nMenu hashtag:');
     console.log('1) Edit hashtag by nomor');
     console.log('2) Hapus hashtag by nomor');
-    console.log('3) Lanjut');
-    const action = await askChoice(rl, 'Pilih [1-3]: ', ['1', '2', '3']);
-    if (action === '3') break;
+    console.log('3) Atur kategori/bobot hashtag by nomor');
+    console.log('4) Pin/unpin hashtag by nomor (pinned = selalu ikut)');
+    console.log('5) Lanjut');
+    const action = await askChoice(rl, 'Pilih [1-5]: ', ['1', '2', '3', '4', '5']);
+    if (action === '5') break;
 
     const index = await askIndex(
       rl,
@@ -214,20 +771,33 @@ async function manageHashtags(rl, currentHashtags) {
       }
 
       const duplicateIndex = hashtags.findIndex(
-        (tag, tagIndex) => tagIndex !== index && tag.toLowerCase() === replacement.toLowerCase(),
+        (entry, tagIndex) => tagIndex !== index && entry.tag.toLowerCase() === replacement.toLowerCase(),
       );
       if (duplicateIndex >= 0) {
         console.log(`${replacement} udah ada di nomor ${duplicateIndex + 1}.`);
         continue;
       }
 
-      hashtags[index] = replacement;
+      hashtags[index] = { ...hashtags[index], tag: replacement };
       console.log(`Hashtag #${index + 1} diupdate jadi ${replacement}.`);
       continue;
     }
 
+    if (action === '3') {
+      const meta = await askCategoriesAndWeight(rl, hashtags[index].tag, hashtags[index]);
+      hashtags[index] = { ...hashtags[index], ...meta };
+      console.log(`${hashtags[index].tag} diupdate${formatBankMeta(hashtags[index]) || ' (umum)'}.`);
+      continue;
+    }
+
+    if (action === '4') {
+      hashtags[index] = { ...hashtags[index], pinned: !hashtags[index].pinned };
+      console.log(`${hashtags[index].tag} sekarang ${hashtags[index].pinned ? 'pinned' : 'ga pinned'}.`);
+      continue;
+    }
+
     const removed = hashtags.splice(index, 1)[0];
-    console.log(`Hashtag #${index + 1} dihapus: ${removed}`);
+    console.log(`Hashtag #${index + 1} dihapus: ${removed.tag}`);
   }
 
   return hashtags;
@@ -236,6 +806,8 @@ async function manageHashtags(rl, currentHashtags) {
 async function handleCaptions(rl) {
   const existingRaw = await readJson(captionsPath, []);
   let captions = normalizeCaptions(existingRaw);
+  const loadedCaptions = structuredClone(captions);
+  const knownVariables = await loadKnownTemplateVariables();
 
   console.log('\n=== Wizard Caption ===');
   console.log(`Caption sekarang: ${captions.length}`);
@@ -257,21 +829,33 @@ async function handleCaptions(rl) {
       await rl.question('Mau edit/hapus caption lama by nomor dulu? (y/N): '),
     );
     if (manageOld) {
-      captions = await manageCaptions(rl, captions);
+      captions = await manageCaptions(rl, captions, knownVariables);
     }
   }
+  captions = await askImportFile(rl, 'captions', captions, knownVariables);
 
+  const newMeta = await askCategoriesAndWeight(rl, 'buat caption baru', { categories: [], weight: 1 });
   console.log('Masukin caption satu-satu. Enter kosong buat selesai.');
+  console.log(
+    `Boleh pake variabel ${[...knownVariables].map((name) => `{${name}}`).join(' ')} dan spintax {Gas|Langsung|Yuk}.`,
+  );
 
   let nextId = captions.reduce((max, entry) => Math.max(max, entry.id), 0) + 1;
   while (true) {
     const inputText = await rl.question(`Caption #${nextId}: `);
     const text = inputText.trim();
     if (!text) break;
+    if (reportTemplateProblems(text, knownVariables)) continue;
+    const duplicateIndex = findDuplicateCaption(captions, text);
+    if (duplicateIndex >= 0) {
+      console.log(`Caption ditolak: udah ada di nomor ${duplicateIndex + 1}.`);
+      continue;
+    }
 
     captions.push({
       id: nextId,
       text,
+      ...newMeta,
       used: false,
       used_at: null,
     });
@@ -287,7 +871,37 @@ async function handleCaptions(rl) {
     return false;
   }
 
-  await writeJson(captionsPath, captions);
+  const invalidCaptions = captions
+    .map((entry) => ({ entry, problems: findTemplateProblems(entry.text, knownVariables) }))
+    .filter(({ problems }) => problems.length > 0);
+  if (invalidCaptions.length > 0) {
+    console.log('Caption bank ga disimpan, ada template yang salah:');
+    invalidCaptions.forEach(({ entry, problems }) => {
+      console.log(`- #${entry.id} ${truncateText(entry.text, 60)}: ${problems.join(', ')}`);
+    });
+    console.log(`Benerin dulu (atau tambahin variabelnya di ${captionVarsPath}), terus jalanin wizard lagi.`);
+    return false;
+  }
+
+  if (!(await confirmBankUnchanged(rl, 'captions', loadedCaptions))) {
+    console.log('Caption bank ga disimpan.');
+    return false;
+  }
+  await withBankLock(async () => {
+    // A run may have marked captions used while the wizard was open; keep those marks.
+    const latestByText = new Map(normalizeCaptions(await readJson(captionsPath, [])).map((entry) => [entry.text, entry]));
+    const loadedByText = new Map(loadedCaptions.map((entry) => [entry.text, entry]));
+    let merged = 0;
+    captions = captions.map((entry) => {
+      const loaded = loadedByText.get(entry.text);
+      const latest = latestByText.get(entry.text);
+      if (!loaded || !latest || (latest.used === loaded.used && latest.used_at === loaded.used_at)) return entry;
+      merged += 1;
+      return { ...entry, used: latest.used, used_at: latest.used_at };
+    });
+    if (merged > 0) console.log(`${merged} status used dari run yang jalan barusan ikut digabung.`);
+    await writeBank('captions', serializeCaptions(captions));
+  });
   console.log(`Beres. Total caption aktif: ${captions.length}`);
   return true;
 }
@@ -295,6 +909,7 @@ async function handleCaptions(rl) {
 async function handleHashtags(rl) {
   const existingRaw = await readJson(hashtagsPath, []);
   let hashtags = normalizeHashtags(existingRaw);
+  const loadedHashtags = structuredClone(hashtags);
 
   console.log('\n=== Wizard Hashtag ===');
   console.log(`Hashtag sekarang: ${hashtags.length}`);
@@ -312,10 +927,12 @@ async function handleHashtags(rl) {
       hashtags = await manageHashtags(rl, hashtags);
     }
   }
+  hashtags = await askImportFile(rl, 'hashtags', hashtags, new Set());
 
+  const newMeta = await askCategoriesAndWeight(rl, 'buat hashtag baru', { categories: [], weight: 1 });
   console.log('Masukin hashtag satu-satu. Boleh pake # atau engga. Enter kosong buat selesai.');
 
-  const seen = new Set(hashtags.map((tag) => tag.toLowerCase()));
+  const seen = new Set(hashtags.map((entry) => entry.tag.toLowerCase()));
   while (true) {
     const inputTag = await rl.question(`Hashtag #${hashtags.length + 1}: `);
     const normalized = normalizeHashtag(inputTag);
@@ -328,7 +945,7 @@ async function handleHashtags(rl) {
     }
 
     seen.add(key);
-    hashtags.push(normalized);
+    hashtags.push({ tag: normalized, ...newMeta, pinned: false });
   }
 
   if (hashtags.length === 0) {
@@ -336,18 +953,25 @@ async function handleHashtags(rl) {
     return false;
   }
 
-  await writeJson(hashtagsPath, hashtags);
+  if (!(await confirmBankUnchanged(rl, 'hashtags', loadedHashtags))) {
+    console.log('Hashtag bank ga disimpan.');
+    return false;
+  }
+  await withBankLock(() => writeBank('hashtags', serializeHashtags(hashtags)));
   console.log(`Beres. Total hashtag aktif: ${hashtags.length}`);
   return true;
 }
 
-async function run() {
-  await fs.mkdir(dataDir, { recursive: true });
-
+async function runWizard() {
   const rl = readline.createInterface({ input, output });
   try {
     console.log('=== Wizard Bank n8n-auto-preview ===');
+    if (!activeChannel) {
+      await askChannel(rl);
+    }
+    await fs.mkdir(dataDir, { recursive: true });
     console.log(`Root: ${rootDir}`);
+    if (activeChannel) console.log(`Channel: ${activeChannel}`);
     console.log(`Data: ${dataDir}`);
     console.log('\nPilih mode:');
     console.log('1) Isi/tambah caption');
@@ -374,7 +998,7 @@ async function run() {
     if (changed) {
       console.log('\nSemua update beres.');
       console.log('Ga perlu restart n8n. Run berikutnya otomatis kebaca.');
-      console.log('Kalo mau test langsung: node scripts/run_job.mjs');
+      console.log(`Kalo mau test langsung: node scripts/run_job.mjs${activeChannel ? ` --channel ${activeChannel}` : ''}`);
     } else {
       console.log('\nGa ada perubahan yang disimpan.');
     }
@@ -383,7 +1007,459 @@ async function run() {
   }
 }
 
+function usageError(message) {
+  const error = new Error(`${message}\n\n${USAGE}`);
+  error.exitCode = EXIT_USAGE;
+  return error;
+}
+
+function parseCliArgs(argv) {
+  try {
+    const { values, positionals } = parseArgs({
+      args: argv,
+      options: {
+        json: { type: 'boolean', default: false },
+        channel: { type: 'string' },
+        categories: { type: 'string' },
+        weight: { type: 'string' },
+        pinned: { type: 'boolean', default: false },
+        unpinned: { type: 'boolean', default: false },
+        format: { type: 'string' },
+        'dry-run': { type: 'boolean', default: false },
+        expect: { type: 'string' },
+      },
+      allowPositionals: true,
+      strict: true,
+    });
+    const [command, ...commandArgs] = positionals;
+    return { ...values, command, commandArgs };
+  } catch (error) {
+    throw usageError(error.message);
+  }
+}
+
+function resolveBankType(raw) {
+  const type = BANK_TYPES[String(raw ?? '').toLowerCase()];
+  if (!type) {
+    throw usageError(`Bank "${raw ?? ''}" ga dikenal. Pilih: caption atau hashtag.`);
+  }
+  return type;
+}
+
+function parseEntryNumber(raw, total, label) {
+  const value = Number(raw);
+  if (!Number.isInteger(value) || value < 1) {
+    throw usageError(`Nomor ${label} harus angka >= 1. Dapet: "${raw ?? ''}".`);
+  }
+  if (value > total) {
+    throw new Error(`Nomor ${label} ${value} ga ada, bank cuma punya ${total} entry.`);
+  }
+  return value - 1;
+}
+
+// Only flags that were actually passed override the entry's current meta.
+// Numbers shift when the bank changes, so callers that picked a number from an older listing
+// (the dashboard) pass the text they saw; the check runs inside the bank lock.
+function assertExpectedEntry(type, entry, number, expected) {
+  if (expected === undefined) return;
+  const actual = type === 'captions' ? entry.text : entry.tag;
+  if (actual !== expected) {
+    throw new Error(
+      `Nomor ${number} sekarang isinya "${truncateText(actual, 60)}", bukan "${truncateText(expected, 60)}". Bank udah berubah, list ulang dulu.`,
+    );
+  }
+}
+
+function metaFromFlags(cliArgs, current) {
+  const meta = {};
+  if (cliArgs.categories !== undefined) {
+    meta.categories = cliArgs.categories.trim() === '-' ? [] : normalizeCategories(cliArgs.categories);
+  }
+  if (cliArgs.weight !== undefined) {
+    const weight = Number(cliArgs.weight);
+    if (!Number.isFinite(weight) || weight <= 0) {
+      throw usageError(`--weight harus angka lebih dari 0. Dapet: "${cliArgs.weight}".`);
+    }
+    meta.weight = weight;
+  }
+  if (cliArgs.pinned && cliArgs.unpinned) {
+    throw usageError('--pinned sama --unpinned ga bisa dipake barengan.');
+  }
+  if (cliArgs.pinned) meta.pinned = true;
+  if (cliArgs.unpinned) meta.pinned = false;
+  if ('pinned' in meta && !('pinned' in current)) {
+    throw usageError('--pinned/--unpinned cuma buat hashtag.');
+  }
+  return meta;
+}
+
+async function loadBank(type) {
+  const raw = await readJson(type === 'captions' ? captionsPath : hashtagsPath, []);
+  return type === 'captions' ? normalizeCaptions(raw) : normalizeHashtags(raw);
+}
+
+// Same rules as the wizard: an empty bank or a broken template never reaches disk.
+async function saveBank(type, entries) {
+  if (entries.length === 0) {
+    throw new Error(`${type === 'captions' ? 'Caption' : 'Hashtag'} bank bakal kosong, file ga jadi diubah.`);
+  }
+
+  if (type === 'hashtags') {
+    await writeBank('hashtags', serializeHashtags(entries));
+    return;
+  }
+
+  const knownVariables = await loadKnownTemplateVariables();
+  for (const entry of entries) {
+    const problems = findTemplateProblems(entry.text, knownVariables);
+    if (problems.length > 0) {
+      throw new Error(`Caption #${entry.id} ditolak: ${problems.join(', ')}.`);
+    }
+  }
+  await writeBank('captions', serializeCaptions(reindexCaptions(entries)));
+}
+
+function describeEntry(type, entry, index) {
+  if (type === 'captions') {
+    return `${index + 1}. ${entry.text} [${entry.used ? 'used' : 'fresh'}]${formatBankMeta(entry)}`;
+  }
+  return `${index + 1}. ${entry.tag}${formatBankMeta(entry)}`;
+}
+
+async function listCommand(cliArgs) {
+  const type = resolveBankType(cliArgs.commandArgs[0]);
+  const entries = await loadBank(type);
+  if (cliArgs.json) {
+    return { status: 'success', bank: type, total: entries.length, entries };
+  }
+  if (entries.length === 0) say(`Bank ${type} masih kosong.`);
+  entries.forEach((entry, index) => say(describeEntry(type, entry, index)));
+  return null;
+}
+
+async function addCommand(cliArgs) {
+  const [rawType, ...values] = cliArgs.commandArgs;
+  const type = resolveBankType(rawType);
+  const entries = await loadBank(type);
+
+  if (type === 'captions') {
+    const text = values.join(' ').trim();
+    if (!text) throw usageError('Teks caption kosong.');
+    const duplicateIndex = findDuplicateCaption(entries, text);
+    if (duplicateIndex >= 0) {
+      throw new Error(`Caption itu udah ada di nomor ${duplicateIndex + 1}.`);
+    }
+    const id = entries.length + 1;
+    entries.push({ id, text, categories: [], weight: 1, used: false, used_at: null, ...metaFromFlags(cliArgs, {}) });
+    await saveBank(type, entries);
+    say(`Caption #${id} ditambah.`);
+    return { status: 'success', bank: type, added: [entries[entries.length - 1]], skipped: [], total: entries.length };
+  }
+
+  const meta = metaFromFlags(cliArgs, { pinned: false });
+  const seen = new Set(entries.map((entry) => entry.tag.toLowerCase()));
+  const added = [];
+  const skipped = [];
+  for (const value of values) {
+    const tag = normalizeHashtag(value);
+    if (!tag) continue;
+    if (seen.has(tag.toLowerCase())) {
+      skipped.push(tag);
+      say(`Lewat, ${tag} udah ada.`);
+      continue;
+    }
+    seen.add(tag.toLowerCase());
+    const entry = { tag, categories: [], weight: 1, pinned: false, ...meta };
+    entries.push(entry);
+    added.push(entry);
+  }
+  if (added.length === 0 && skipped.length === 0) throw usageError('Hashtag kosong.');
+
+  if (added.length > 0) {
+    await saveBank(type, entries);
+    say(`${added.length} hashtag ditambah: ${added.map((entry) => entry.tag).join(' ')}`);
+  }
+  return { status: 'success', bank: type, added, skipped, total: entries.length };
+}
+
+async function editCommand(cliArgs) {
+  const [rawType, rawNumber, ...values] = cliArgs.commandArgs;
+  const type = resolveBankType(rawType);
+  const entries = await loadBank(type);
+  const index = parseEntryNumber(rawNumber, entries.length, type === 'captions' ? 'caption' : 'hashtag');
+  assertExpectedEntry(type, entries[index], index + 1, cliArgs.expect);
+  const replacement = values.join(' ').trim();
+  const updated = { ...entries[index], ...metaFromFlags(cliArgs, entries[index]) };
+
+  if (type === 'captions' && replacement) {
+    const duplicateIndex = findDuplicateCaption(entries, replacement, index);
+    if (duplicateIndex >= 0) {
+      throw new Error(`Caption itu udah ada di nomor ${duplicateIndex + 1}.`);
+    }
+    updated.text = replacement;
+  } else if (type === 'hashtags' && replacement) {
+    const tag = normalizeHashtag(replacement);
+    const duplicateIndex = entries.findIndex(
+      (entry, tagIndex) => tagIndex !== index && entry.tag.toLowerCase() === tag.toLowerCase(),
+    );
+    if (duplicateIndex >= 0) {
+      throw new Error(`${tag} udah ada di nomor ${duplicateIndex + 1}.`);
+    }
+    updated.tag = tag;
+  }
+
+  if (JSON.stringify(updated) === JSON.stringify(entries[index])) {
+    throw usageError('Ga ada yang diubah. Kasih teks baru atau --categories/--weight/--pinned.');
+  }
+
+  entries[index] = updated;
+  await saveBank(type, entries);
+  say(`${type === 'captions' ? 'Caption' : 'Hashtag'} #${index + 1} diupdate.`);
+  return { status: 'success', bank: type, number: index + 1, entry: updated };
+}
+
+async function removeCommand(cliArgs) {
+  const [rawType, rawNumber] = cliArgs.commandArgs;
+  const type = resolveBankType(rawType);
+  const entries = await loadBank(type);
+  const index = parseEntryNumber(rawNumber, entries.length, type === 'captions' ? 'caption' : 'hashtag');
+  assertExpectedEntry(type, entries[index], index + 1, cliArgs.expect);
+  const [removed] = entries.splice(index, 1);
+  await saveBank(type, entries);
+  say(
+    `${type === 'captions' ? 'Caption' : 'Hashtag'} #${index + 1} dihapus: ${type === 'captions' ? `"${truncateText(removed.text, 60)}"` : removed.tag}`,
+  );
+  return { status: 'success', bank: type, number: index + 1, removed, total: entries.length };
+}
+
+async function resetUsageCommand(cliArgs) {
+  const captions = await loadBank('captions');
+  const indexes =
+    cliArgs.commandArgs.length > 0
+      ? cliArgs.commandArgs.map((raw) => parseEntryNumber(raw, captions.length, 'caption'))
+      : captions.map((_, index) => index);
+
+  let reset = 0;
+  for (const index of indexes) {
+    if (!captions[index].used) continue;
+    captions[index] = { ...captions[index], used: false, used_at: null };
+    reset += 1;
+  }
+  if (reset > 0) {
+    await saveBank('captions', captions);
+  }
+  say(`${reset} caption direset jadi fresh.`);
+  return { status: 'success', bank: 'captions', reset, fresh: captions.filter((entry) => !entry.used).length };
+}
+
+function countByCategory(entries, isFresh = () => true) {
+  const counts = {};
+  for (const entry of entries) {
+    for (const category of entry.categories.length > 0 ? entry.categories : ['umum']) {
+      counts[category] ??= { total: 0, fresh: 0 };
+      counts[category].total += 1;
+      if (isFresh(entry)) counts[category].fresh += 1;
+    }
+  }
+  return counts;
+}
+
+async function statsCommand(cliArgs) {
+  const [captions, hashtags] = await Promise.all([loadBank('captions'), loadBank('hashtags')]);
+  const stats = {
+    captions: {
+      total: captions.length,
+      fresh: captions.filter((entry) => !entry.used).length,
+      used: captions.filter((entry) => entry.used).length,
+      by_category: countByCategory(captions, (entry) => !entry.used),
+    },
+    hashtags: {
+      total: hashtags.length,
+      pinned: hashtags.filter((entry) => entry.pinned).length,
+      by_category: Object.fromEntries(
+        Object.entries(countByCategory(hashtags)).map(([category, counts]) => [category, counts.total]),
+      ),
+    },
+  };
+  if (cliArgs.json) {
+    return { status: 'success', ...stats };
+  }
+
+  say(`Caption: ${stats.captions.total} total, ${stats.captions.fresh} fresh, ${stats.captions.used} used`);
+  for (const [category, counts] of Object.entries(stats.captions.by_category)) {
+    say(`  - ${category}: ${counts.fresh}/${counts.total} fresh`);
+  }
+  say(`Hashtag: ${stats.hashtags.total} total, ${stats.hashtags.pinned} pinned`);
+  for (const [category, total] of Object.entries(stats.hashtags.by_category)) {
+    say(`  - ${category}: ${total}`);
+  }
+  return null;
+}
+
+async function importCommand(cliArgs) {
+  const [rawType, filePath] = cliArgs.commandArgs;
+  const type = resolveBankType(rawType);
+  if (!filePath) throw usageError('Path file import kosong.');
+  const format = resolveFileFormat(filePath, cliArgs.format);
+
+  const existing = await loadBank(type);
+  const records = await readBankFile(type, filePath, format);
+  const defaults = { categories: [], weight: 1, pinned: false, ...metaFromFlags(cliArgs, type === 'hashtags' ? { pinned: false } : {}) };
+  const plan = planBankImport(type, existing, records, defaults, await loadKnownTemplateVariables());
+  printImportPreview(type, plan);
+
+  const result = {
+    status: 'success',
+    bank: type,
+    dry_run: cliArgs['dry-run'],
+    added: plan.added,
+    skipped: plan.skipped,
+    total: plan.entries.length,
+  };
+  if (cliArgs['dry-run']) {
+    say('Dry-run, bank ga diubah.');
+    return result;
+  }
+  if (plan.added.length > 0) {
+    await saveBank(type, plan.entries);
+  }
+  say(`Beres. ${plan.added.length} ditambah, ${plan.skipped.length} dilewat. Total ${type}: ${plan.entries.length}`);
+  return result;
+}
+
+async function exportCommand(cliArgs) {
+  const [rawType, filePath] = cliArgs.commandArgs;
+  const type = resolveBankType(rawType);
+  if (!filePath && cliArgs.json) {
+    throw usageError('Export ke stdout ga bisa bareng --json, kasih path file.');
+  }
+
+  const format = filePath ? resolveFileFormat(filePath, cliArgs.format) : resolveFileFormat(null, cliArgs.format ?? 'jsonl');
+  const entries = await loadBank(type);
+  const content = formatBankFile(type, entries, format);
+  if (!filePath) {
+    process.stdout.write(content);
+    return null;
+  }
+
+  await fs.writeFile(filePath, content, 'utf8');
+  say(`${entries.length} ${type} diexport ke ${filePath} (${format}).`);
+  return { status: 'success', bank: type, format, file: filePath, total: entries.length };
+}
+
+async function backupsCommand(cliArgs) {
+  const types = cliArgs.commandArgs[0] ? [resolveBankType(cliArgs.commandArgs[0])] : ['captions', 'hashtags'];
+  const result = { status: 'success', dir: backupsDir, backups: {} };
+  for (const type of types) {
+    const names = await listBackups(type);
+    result.backups[type] = names;
+    say(`Backup ${type} (${names.length}, terbaru di atas):`);
+    if (names.length === 0) say('  belum ada');
+    names.forEach((name, index) => say(`  ${index + 1}. ${name}`));
+  }
+  return cliArgs.json ? result : null;
+}
+
+async function restoreCommand(cliArgs) {
+  const [rawType, rawSource = '1'] = cliArgs.commandArgs;
+  const type = resolveBankType(rawType);
+  const names = await listBackups(type);
+
+  let sourcePath;
+  if (/^\d+$/.test(rawSource)) {
+    if (names.length === 0) {
+      throw new Error(`Belum ada backup ${type} di ${backupsDir}.`);
+    }
+    const index = parseEntryNumber(rawSource, names.length, 'backup');
+    sourcePath = path.join(backupsDir, names[index]);
+  } else {
+    // Only backups this script wrote: a path or ../ could pull any JSON on disk into the bank.
+    if (path.basename(rawSource) !== rawSource || !names.includes(rawSource)) {
+      throw new Error(`Backup "${rawSource}" ga ada di ${backupsDir}. Liat pilihan nomor/nama file di \`backups ${rawType}\`.`);
+    }
+    sourcePath = path.join(backupsDir, rawSource);
+  }
+
+  let raw;
+  try {
+    raw = JSON.parse(await fs.readFile(sourcePath, 'utf8'));
+  } catch (error) {
+    throw new Error(`Backup ${sourcePath} ga kebaca: ${error.message}`);
+  }
+  const entries = type === 'captions' ? normalizeCaptions(raw) : normalizeHashtags(raw);
+  // saveBank backs up the current file first, so a restore can itself be undone.
+  await saveBank(type, entries);
+  say(`Bank ${type} dibalikin dari ${path.basename(sourcePath)}. Total: ${entries.length}`);
+  return { status: 'success', bank: type, restored_from: sourcePath, total: entries.length };
+}
+
+async function runCommand(cliArgs) {
+  if (MUTATING_COMMANDS.has(cliArgs.command)) {
+    return withBankLock(() => runBankCommand(cliArgs));
+  }
+  return runBankCommand(cliArgs);
+}
+
+async function runBankCommand(cliArgs) {
+  switch (cliArgs.command) {
+    case 'list':
+      return listCommand(cliArgs);
+    case 'add':
+      return addCommand(cliArgs);
+    case 'edit':
+      return editCommand(cliArgs);
+    case 'remove':
+      return removeCommand(cliArgs);
+    case 'reset-usage':
+      return resetUsageCommand(cliArgs);
+    case 'stats':
+      return statsCommand(cliArgs);
+    case 'import':
+      return importCommand(cliArgs);
+    case 'export':
+      return exportCommand(cliArgs);
+    case 'backups':
+      return backupsCommand(cliArgs);
+    case 'restore':
+      return restoreCommand(cliArgs);
+    case 'help':
+      console.log(USAGE);
+      return null;
+    default:
+      throw usageError(`Command "${cliArgs.command}" ga dikenal. Pilih: ${COMMANDS.join(', ')}.`);
+  }
+}
+
+// No command keeps the interactive wizard; anything else is a scriptable one-shot command.
+async function run() {
+  const argv = process.argv.slice(2);
+  // Set before parsing so even usage errors come back as JSON.
+  jsonOutput = argv.includes('--json');
+  const cliArgs = parseCliArgs(argv);
+  const channelName = cliArgs.channel || process.env.AUTO_PREVIEW_CHANNEL;
+  if (channelName) {
+    await useChannel(channelName);
+  }
+
+  if (!cliArgs.command && !cliArgs.json) {
+    await runWizard();
+    return;
+  }
+  if (!cliArgs.command) {
+    throw usageError('Command kosong.');
+  }
+  await fs.mkdir(dataDir, { recursive: true });
+
+  const result = await runCommand(cliArgs);
+  if (cliArgs.json) {
+    process.stdout.write(`${JSON.stringify(result ?? { status: 'success' })}\n`);
+  }
+}
+
 run().catch((error) => {
-  console.error('Wizard error:', error.message);
-  process.exitCode = 1;
+  if (jsonOutput) {
+    process.stdout.write(`${JSON.stringify({ status: 'error', reason: error.message.split('\n')[0] })}\n`);
+  }
+  console.error(process.argv.length > 2 ? `Bank error: ${error.message}` : `Wizard error: ${error.message}`);
+  process.exitCode = error.exitCode ?? 1;
 });
@@ -60,8 +60,57 @@ if [[ ! -f "${ROOT_DIR}/data/hashtags.json" ]]; then
 JSON
 fi
 
+if [[ ! -f "${ROOT_DIR}/data/profiles.json" ]]; then
+  cat > "${ROOT_DIR}/data/profiles.json" <<'JSON'
+{
+  "default_profile": "preview",
+  "profiles": {
+    "preview": {
+      "min_total": 4,
+      "max_total": 4,
+      "min_images": 1,
+      "max_images": 3,
+      "min_videos": 1,
+      "max_videos": 3,
+      "fallback": ["images_only", "videos_only"]
+    },
+    "carousel": {
+      "min_total": 6,
+      "max_total": 10,
+      "min_images": 1,
+      "max_images": 9,
+      "min_videos": 1,
+      "max_videos": 9,
+      "fallback": ["images_only", "videos_only"]
+    },
+    "story": {
+      "min_total": 3,
+      "max_total": 3,
+      "min_images": 2,
+      "max_images": 2,
+      "min_videos": 1,
+      "max_videos": 1,
+      "fallback": []
+    }
+  }
+}
+JSON
+fi
+
+if [[ ! -f "${ROOT_DIR}/data/platforms.json" ]]; then
+  cat > "${ROOT_DIR}/data/platforms.json" <<'JSON'
+{
+  "instagram": { "max_caption_chars": 2200, "max_hashtags": 30, "hashtag_placement": "newline" },
+  "tiktok": { "max_caption_chars": 2200, "max_hashtags": 10, "hashtag_placement": "inline" },
+  "x": { "max_caption_chars": 280, "max_hashtags": 3, "hashtag_placement": "inline" },
+  "whatsapp": { "max_caption_chars": 700, "max_hashtags": 5, "hashtag_placement": "newline" }
+}
+JSON
+fi
+
 echo "Bootstrap selesai."
 echo "Root: ${ROOT_DIR}"
 echo "Isi media ke: ${ROOT_DIR}/source_media/images dan ${ROOT_DIR}/source_media/videos"
 echo "Edit caption di: ${ROOT_DIR}/data/captions.json"
 echo "Edit hashtag di: ${ROOT_DIR}/data/hashtags.json"
+echo "Edit profile job di: ${ROOT_DIR}/data/profiles.json"
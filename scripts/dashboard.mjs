@@ -0,0 +1,662 @@
+#!/usr/bin/env node
+
+import fs from 'node:fs/promises';
+import { spawn } from 'node:child_process';
+import { timingSafeEqual } from 'node:crypto';
+import http from 'node:http';
+import path from 'node:path';
+import { pipeline } from 'node:stream';
+import { fileURLToPath } from 'node:url';
+
+const scriptDir = path.dirname(fileURLToPath(import.meta.url));
+const defaultRoot = path.resolve(scriptDir, '..');
+const rootDir = process.env.AUTO_PREVIEW_ROOT || defaultRoot;
+// Child scripts inherit AUTO_PREVIEW_CHANNEL, so only the job listing resolves the channel here.
+const channelName = process.env.AUTO_PREVIEW_CHANNEL || null;
+const outputJobsDir = await resolveOutputJobsDir();
+const runJobScript = path.join(scriptDir, 'run_job.mjs');
+const bankWizardScript = path.join(scriptDir, 'bank_wizard.mjs');
+
+const LOOPBACK_HOSTS = new Set(['127.0.0.1', '::1', 'localhost']);
+const DEFAULT_PORT = 8787;
+const DEFAULT_JOB_LIMIT = 30;
+const MAX_BODY_BYTES = 64 * 1024;
+const CHILD_TIMEOUT_MS = 10 * 60 * 1000;
+const host = process.env.AUTO_PREVIEW_DASHBOARD_HOST || '127.0.0.1';
+const port = resolvePort(process.env.AUTO_PREVIEW_DASHBOARD_PORT);
+const accessToken = process.env.AUTO_PREVIEW_DASHBOARD_TOKEN || null;
+
+const CONTENT_TYPES = {
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.png': 'image/png',
+  '.webp': 'image/webp',
+  '.gif': 'image/gif',
+  '.mp4': 'video/mp4',
+  '.mov': 'video/quicktime',
+  '.webm': 'video/webm',
+  '.m4v': 'video/mp4',
+  '.txt': 'text/plain; charset=utf-8',
+  '.json': 'application/json; charset=utf-8',
+};
+
+function log(message) {
+  const ts = new Date().toISOString();
+  console.log(`[${ts}] ${message}`);
+}
+
+function resolvePort(raw) {
+  if (!raw) return DEFAULT_PORT;
+  const parsed = Number(raw);
+  if (!Number.isInteger(parsed) || parsed < 1 || parsed > 65535) {
+    throw new Error(`AUTO_PREVIEW_DASHBOARD_PORT must be a port number. Received: "${raw}".`);
+  }
+  return parsed;
+}
+
+class HttpError extends Error {
+  constructor(statusCode, message) {
+    super(message);
+    this.statusCode = statusCode;
+  }
+}
+
+// Every write goes through the CLI scripts, so the dashboard shares their lock, validation
+// and normalization instead of reimplementing them.
+function runScript(scriptPath, args) {
+  return new Promise((resolve, reject) => {
+    const child = spawn(process.execPath, [scriptPath, ...args], {
+      cwd: rootDir,
+      env: { ...process.env, AUTO_PREVIEW_ROOT: rootDir },
+      stdio: ['ignore', 'pipe', 'pipe'],
+      timeout: CHILD_TIMEOUT_MS,
+    });
+
+    let stdout = '';
+    let stderr = '';
+    child.stdout.setEncoding('utf8');
+    child.stderr.setEncoding('utf8');
+    child.stdout.on('data', (chunk) => {
+      stdout += chunk;
+    });
+    child.stderr.on('data', (chunk) => {
+      stderr += chunk;
+    });
+    child.on('error', reject);
+    child.on('close', (code) => {
+      const lastLine = stdout.trim().split(/\r?\n/).pop();
+      let result = null;
+      try {
+        result = lastLine ? JSON.parse(lastLine) : null;
+      } catch {
+        // Non-JSON output is reported through stderr below.
+      }
+      if (!result) {
+        reject(new Error(`${path.basename(scriptPath)} exited with code ${code}: ${stderr.trim() || 'no output'}`));
+        return;
+      }
+      resolve({ code, result, stderr });
+    });
+  });
+}
+
+async function runScriptForHttp(scriptPath, args) {
+  const { code, result } = await runScript(scriptPath, args);
+  if (code === 0) return result;
+  // bank_wizard uses exit code 2 for bad input; everything else is a failed operation.
+  throw new HttpError(code === 2 ? 400 : 422, result.reason ?? 'Operation failed.');
+}
+
+function sendJson(res, statusCode, value) {
+  const body = JSON.stringify(value);
+  res.writeHead(statusCode, {
+    'content-type': 'application/json; charset=utf-8',
+    'content-length': Buffer.byteLength(body),
+    'cache-control': 'no-store',
+  });
+  res.end(body);
+}
+
+async function readJsonBody(req) {
+  let size = 0;
+  const chunks = [];
+  for await (const chunk of req) {
+    size += chunk.length;
+    if (size > MAX_BODY_BYTES) throw new HttpError(413, 'Request body too large.');
+    chunks.push(chunk);
+  }
+  if (chunks.length === 0) return {};
+
+  try {
+    const body = JSON.parse(Buffer.concat(chunks).toString('utf8'));
+    if (!body || typeof body !== 'object' || Array.isArray(body)) throw new Error('not an object');
+    return body;
+  } catch (error) {
+    throw new HttpError(400, `Body must be a JSON object. ${error.message}`);
+  }
+}
+
+// Browsers resend Basic credentials on their own and send text/plain POSTs cross-site without
+// a preflight, so writes must be JSON and, from a browser, come from the dashboard's own origin.
+function assertSameOriginWrite(req) {
+  const contentType = String(req.headers['content-type'] ?? '').split(';')[0].trim().toLowerCase();
+  if (contentType !== 'application/json') {
+    throw new HttpError(415, 'Write requests must use content-type application/json.');
+  }
+
+  const origin = req.headers.origin;
+  if (origin === undefined) return;
+  let originHost = null;
+  try {
+    originHost = new URL(origin).host;
+  } catch {
+    // "null" and other opaque origins never match.
+  }
+  if (!originHost || originHost !== req.headers.host) {
+    throw new HttpError(403, `Cross-origin request from ${origin} rejected.`);
+  }
+}
+
+// Without a token, only loopback Host names are served: under DNS rebinding an attacker's page
+// controls both Origin and Host, so the origin check alone would always pass.
+function isAllowedHost(req) {
+  if (accessToken) return true;
+  const allowed = ['localhost', '127.0.0.1', '[::1]'].map((name) => `${name}:${port}`);
+  return allowed.includes(String(req.headers.host ?? '').toLowerCase());
+}
+
+// Token auth uses HTTP Basic (any user name) so a browser can log in without extra UI.
+function isAuthorized(req) {
+  if (!accessToken) return true;
+  const header = req.headers.authorization ?? '';
+  const [scheme, encoded = ''] = header.split(' ');
+  const supplied =
+    scheme === 'Bearer'
+      ? encoded
+      : scheme === 'Basic'
+        ? Buffer.from(encoded, 'base64').toString('utf8').split(':').slice(1).join(':')
+        : '';
+  const expected = Buffer.from(accessToken);
+  const actual = Buffer.from(supplied);
+  return actual.length === expected.length && timingSafeEqual(actual, expected);
+}
+
+// Keep in sync with normalizeChannel in run_job.mjs.
+async function resolveOutputJobsDir() {
+  if (!channelName) return path.resolve(rootDir, 'output_jobs');
+  const config = JSON.parse(await fs.readFile(path.join(rootDir, 'data', 'channels.json'), 'utf8'));
+  const channel = config?.channels?.[channelName];
+  if (!channel) {
+    throw new Error(`Unknown channel "${channelName}" in data/channels.json.`);
+  }
+  if (channel.output_dir) return path.resolve(rootDir, channel.output_dir);
+  return path.resolve(rootDir, channel.dir ?? path.join('channels', channelName), 'output_jobs');
+}
+
+function resolveJobPath(jobName, fileName = null) {
+  const jobDir = path.resolve(outputJobsDir, jobName);
+  const target = fileName === null ? jobDir : path.resolve(jobDir, fileName);
+  if (path.dirname(jobDir) !== outputJobsDir || path.basename(jobDir).startsWith('.')) {
+    throw new HttpError(404, 'Job not found.');
+  }
+  if (fileName !== null && (path.dirname(target) !== jobDir || path.basename(target).startsWith('.'))) {
+    throw new HttpError(404, 'File not found.');
+  }
+  return target;
+}
+
+async function readJobSummary(jobName) {
+  const jobDir = resolveJobPath(jobName);
+  let manifest = null;
+  try {
+    manifest = JSON.parse(await fs.readFile(path.join(jobDir, 'manifest.json'), 'utf8'));
+  } catch {
+    // Jobs made before manifests existed still list their files.
+  }
+
+  let captionText = null;
+  try {
+    captionText = await fs.readFile(path.join(jobDir, 'caption.txt'), 'utf8');
+  } catch {
+    captionText = null;
+  }
+
+  const files = manifest?.media?.map((entry) => ({ file_name: entry.file_name, type: entry.type })) ??
+    (await fs.readdir(jobDir))
+      .filter((name) => !name.startsWith('.') && !/\.(txt|json)$/i.test(name))
+      .map((name) => ({
+        file_name: name,
+        type: /^video\//.test(CONTENT_TYPES[path.extname(name).toLowerCase()] ?? '') ? 'video' : 'image',
+      }));
+
+  return {
+    name: jobName,
+    profile: manifest?.profile ?? null,
+    created_at: manifest?.created_at ?? null,
+    caption: captionText,
+    platform_captions: Object.keys(manifest?.platform_captions ?? {}),
+    media: files.map((entry) => ({
+      ...entry,
+      url: `/files/${encodeURIComponent(jobName)}/${encodeURIComponent(entry.file_name)}`,
+    })),
+  };
+}
+
+async function listJobs(limit) {
+  let entries = [];
+  try {
+    entries = await fs.readdir(outputJobsDir, { withFileTypes: true });
+  } catch (error) {
+    if (error.code !== 'ENOENT') throw error;
+  }
+
+  // Job folder names start with the WIB timestamp, so name order is creation order.
+  const names = entries
+    .filter((entry) => entry.isDirectory() && !entry.name.startsWith('.'))
+    .map((entry) => entry.name)
+    .sort()
+    .reverse()
+    .slice(0, limit);
+  return Promise.all(names.map((name) => readJobSummary(name)));
+}
+
+async function serveJobFile(res, jobName, fileName) {
+  const filePath = resolveJobPath(jobName, fileName);
+  // Opened up front: retention, undo or an archive run may remove the file at any moment, and an
+  // open handle keeps it readable after that.
+  let handle;
+  try {
+    handle = await fs.open(filePath, 'r');
+  } catch {
+    throw new HttpError(404, 'File not found.');
+  }
+  const stat = await handle.stat();
+  if (!stat.isFile()) {
+    await handle.close();
+    throw new HttpError(404, 'File not found.');
+  }
+
+  res.writeHead(200, {
+    'content-type': CONTENT_TYPES[path.extname(filePath).toLowerCase()] ?? 'application/octet-stream',
+    'content-length': stat.size,
+  });
+  pipeline(handle.createReadStream(), res, (error) => {
+    // Headers are already out, so pipeline has ended the response by destroying it.
+    if (error && error.code !== 'ERR_STREAM_PREMATURE_CLOSE') {
+      log(`Dashboard: streaming ${filePath} failed. ${error.message}`);
+    }
+  });
+}
+
+function resolveBankType(raw) {
+  if (raw === 'captions' || raw === 'hashtags') return raw;
+  throw new HttpError(404, `Unknown bank "${raw}".`);
+}
+
+// Maps a JSON body onto the bank_wizard flags; empty categories clear them.
+function bankFlags(body) {
+  const flags = [];
+  if (body.categories !== undefined) {
+    const categories = Array.isArray(body.categories) ? body.categories.join(',') : String(body.categories);
+    flags.push('--categories', categories.trim() || '-');
+  }
+  if (body.weight !== undefined && body.weight !== '') flags.push('--weight', String(body.weight));
+  if (body.pinned === true) flags.push('--pinned');
+  if (body.pinned === false) flags.push('--unpinned');
+  return flags;
+}
+
+// Entries are addressed by number; `expect` (the text/tag the client saw) makes bank_wizard
+// refuse the write when the numbering moved since the page loaded.
+function expectFlag(body) {
+  return typeof body.expect === 'string' ? ['--expect', body.expect] : [];
+}
+
+async function handleBankRequest(req, type, number) {
+  const singular = type === 'captions' ? 'caption' : 'hashtag';
+  if (req.method === 'GET' && number === null) {
+    return runScriptForHttp(bankWizardScript, ['list', type, '--json']);
+  }
+
+  if (req.method === 'POST' && number === null) {
+    const body = await readJsonBody(req);
+    const value = String((type === 'captions' ? body.text : body.tag) ?? '').trim();
+    const flags = bankFlags(type === 'captions' ? { ...body, pinned: undefined } : { ...body, pinned: body.pinned || undefined });
+    const values = type === 'captions' ? [value] : value.split(/[\s,]+/);
+    return runScriptForHttp(bankWizardScript, ['add', singular, '--json', ...flags, '--', ...values]);
+  }
+
+  if (req.method === 'PUT' && number !== null) {
+    const body = await readJsonBody(req);
+    const value = String((type === 'captions' ? body.text : body.tag) ?? '').trim();
+    const flags = [...bankFlags(type === 'captions' ? { ...body, pinned: undefined } : body), ...expectFlag(body)];
+    return runScriptForHttp(bankWizardScript, ['edit', singular, '--json', ...flags, '--', number, ...(value ? [value] : [])]);
+  }
+
+  if (req.method === 'DELETE' && number !== null) {
+    const body = await readJsonBody(req);
+    return runScriptForHttp(bankWizardScript, ['remove', singular, '--json', ...expectFlag(body), '--', number]);
+  }
+
+  throw new HttpError(405, 'Method not allowed.');
+}
+
+async function handleRun(req) {
+  const body = await readJsonBody(req);
+  const args = ['--json'];
+  if (body.profile) args.push('--profile', String(body.profile));
+  if (body.dry_run === true) args.push('--dry-run');
+
+  log(`Run requested from dashboard${body.profile ? ` (profile=${body.profile})` : ''}${body.dry_run ? ', dry-run' : ''}.`);
+  const { code, result } = await runScript(runJobScript, args);
+  if (code === 0 && result.status === 'skip' && result.reason === 'locked') {
+    throw new HttpError(409, 'Run skipped: previous execution is still active.');
+  }
+  if (code !== 0) throw new HttpError(500, result.reason ?? 'Run failed.');
+  return result;
+}
+
+async function handleDryRun(req) {
+  const body = await readJsonBody(req);
+  const args = ['--dry-run', '--json'];
+  if (body.profile) args.push('--profile', String(body.profile));
+
+  const { code, result } = await runScript(runJobScript, args);
+  if (code !== 0) throw new HttpError(500, result.reason ?? 'Dry-run failed.');
+  return result;
+}
+
+async function handleRequest(req, res) {
+  const url = new URL(req.url, 'http://dashboard.local');
+  const segments = url.pathname.split('/').filter(Boolean).map((segment) => decodeURIComponent(segment));
+
+  if (req.method !== 'GET' && req.method !== 'HEAD') assertSameOriginWrite(req);
+
+  if (url.pathname === '/' && req.method === 'GET') {
+    res.writeHead(200, { 'content-type': 'text/html; charset=utf-8', 'cache-control': 'no-store' });
+    res.end(DASHBOARD_HTML);
+    return;
+  }
+
+  if (segments[0] === 'files' && segments.length === 3 && req.method === 'GET') {
+    await serveJobFile(res, segments[1], segments[2]);
+    return;
+  }
+
+  if (segments[0] !== 'api') throw new HttpError(404, 'Not found.');
+
+  const route = segments.slice(1);
+  if (route[0] === 'jobs' && route.length === 1 && req.method === 'GET') {
+    const limit = Number(url.searchParams.get('limit')) || DEFAULT_JOB_LIMIT;
+    sendJson(res, 200, { status: 'success', jobs: await listJobs(Math.max(1, Math.min(limit, 500))) });
+    return;
+  }
+  if (route[0] === 'stock' && route.length === 1 && req.method === 'GET') {
+    const args = ['inventory', '--json'];
+    if (url.searchParams.get('profile')) args.push('--profile', url.searchParams.get('profile'));
+    sendJson(res, 200, await runScriptForHttp(runJobScript, args));
+    return;
+  }
+  if (route[0] === 'banks' && (route.length === 2 || route.length === 3)) {
+    sendJson(res, 200, await handleBankRequest(req, resolveBankType(route[1]), route[2] ?? null));
+    return;
+  }
+  if (route[0] === 'run' && route.length === 1 && req.method === 'POST') {
+    sendJson(res, 200, await handleRun(req));
+    return;
+  }
+  if (route[0] === 'dry-run' && route.length === 1 && req.method === 'POST') {
+    sendJson(res, 200, await handleDryRun(req));
+    return;
+  }
+
+  throw new HttpError(404, 'Not found.');
+}
+
+const DASHBOARD_HTML = `<!doctype html>
+<html lang="id">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>n8n-auto-preview</title>
+<style>
+  body { font-family: system-ui, sans-serif; margin: 0 auto; max-width: 1100px; padding: 16px; color: #222; }
+  h1 { font-size: 1.4em; } h2 { font-size: 1.15em; margin-top: 28px; border-bottom: 1px solid #ddd; }
+  button { cursor: pointer; } input, textarea { font: inherit; }
+  .row { display: flex; gap: 8px; flex-wrap: wrap; align-items: center; }
+  .job { border: 1px solid #ddd; border-radius: 6px; padding: 10px; margin: 10px 0; }
+  .thumbs { display: flex; gap: 6px; flex-wrap: wrap; }
+  .thumbs img, .thumbs video { height: 120px; border-radius: 4px; background: #eee; }
+  pre { white-space: pre-wrap; background: #f6f6f6; padding: 8px; margin: 6px 0 0; }
+  table { border-collapse: collapse; width: 100%; } td, th { border-bottom: 1px solid #eee; padding: 4px; text-align: left; vertical-align: top; }
+  #message { position: sticky; top: 0; padding: 6px; background: #fffbe6; display: none; }
+  .muted { color: #777; font-size: 0.9em; }
+</style>
+</head>
+<body>
+<div id="message"></div>
+<h1>n8n-auto-preview</h1>
+
+<h2>Run</h2>
+<div class="row">
+  <input id="profile" placeholder="profile (kosong = default)">
+  <button onclick="triggerRun(false)">Jalanin run</button>
+  <button onclick="triggerRun(true)">Dry-run</button>
+</div>
+<pre id="run-result" class="muted"></pre>
+
+<h2>Stok</h2>
+<div id="stock" class="muted">Loading...</div>
+
+<h2>Job Terbaru</h2>
+<div id="jobs" class="muted">Loading...</div>
+
+<h2>Bank Caption</h2>
+<div class="row">
+  <textarea id="new-caption" rows="2" cols="60" placeholder="Caption baru"></textarea>
+  <input id="new-caption-categories" placeholder="kategori (pisah koma)">
+  <input id="new-caption-weight" placeholder="bobot" size="5">
+  <button onclick="addEntry('captions')">Tambah</button>
+</div>
+<table id="captions"></table>
+
+<h2>Bank Hashtag</h2>
+<div class="row">
+  <input id="new-hashtag" placeholder="#hashtag">
+  <input id="new-hashtag-categories" placeholder="kategori (pisah koma)">
+  <input id="new-hashtag-weight" placeholder="bobot" size="5">
+  <label><input id="new-hashtag-pinned" type="checkbox"> pinned</label>
+  <button onclick="addEntry('hashtags')">Tambah</button>
+</div>
+<table id="hashtags"></table>
+
+<script>
+const $ = (id) => document.getElementById(id);
+const escapeHtml = (value) => String(value ?? '').replace(/[&<>"']/g, (c) => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[c]);
+
+function showMessage(text) {
+  $('message').textContent = text;
+  $('message').style.display = text ? 'block' : 'none';
+}
+
+async function api(path, options = {}) {
+  const response = await fetch(path, {
+    ...options,
+    headers: options.method ? { 'content-type': 'application/json' } : {},
+    body: options.body ? JSON.stringify(options.body) : undefined,
+  });
+  const data = await response.json().catch(() => ({}));
+  if (!response.ok) throw new Error(data.reason || response.statusText);
+  return data;
+}
+
+async function loadStock() {
+  try {
+    const data = await api('/api/stock');
+    const folders = data.folders.map((f) => '<li>' + escapeHtml(f.folder) + ': ' + f.images + ' gambar, ' + f.videos + ' video</li>').join('');
+    const jobs = data.jobs_remaining.min === data.jobs_remaining.max ? data.jobs_remaining.min : data.jobs_remaining.min + '-' + data.jobs_remaining.max;
+    $('stock').innerHTML = '<b>' + data.stock.images + '</b> gambar, <b>' + data.stock.videos + '</b> video (profile ' + escapeHtml(data.profile) + ')'
+      + '<ul>' + folders + '</ul>Perkiraan sisa job: <b>' + jobs + '</b>. Caption belum kepake: <b>' + data.captions.unused + '/' + data.captions.total + '</b>';
+  } catch (error) {
+    $('stock').textContent = 'Gagal load stok: ' + error.message;
+  }
+}
+
+async function loadJobs() {
+  try {
+    const data = await api('/api/jobs');
+    if (data.jobs.length === 0) {
+      $('jobs').textContent = 'Belum ada job.';
+      return;
+    }
+    $('jobs').innerHTML = data.jobs.map((job) => {
+      const thumbs = job.media.map((m) => m.type === 'video'
+        ? '<video src="' + m.url + '#t=0.5" preload="metadata" muted controls></video>'
+        : '<a href="' + m.url + '" target="_blank"><img src="' + m.url + '" loading="lazy" alt=""></a>').join('');
+      const extra = job.platform_captions.length ? ' · caption: ' + job.platform_captions.map(escapeHtml).join(', ') : '';
+      return '<div class="job"><b>' + escapeHtml(job.name) + '</b> <span class="muted">' + escapeHtml(job.profile ?? '') + extra + '</span>'
+        + '<div class="thumbs">' + thumbs + '</div><pre>' + escapeHtml(job.caption ?? '(caption.txt ga ada)') + '</pre></div>';
+    }).join('');
+  } catch (error) {
+    $('jobs').textContent = 'Gagal load job: ' + error.message;
+  }
+}
+
+async function loadBank(type) {
+  try {
+    const data = await api('/api/banks/' + type);
+    $(type).innerHTML = data.entries.map((entry, index) => {
+      const number = index + 1;
+      const value = type === 'captions' ? entry.text : entry.tag;
+      const state = type === 'captions' ? (entry.used ? 'used' : 'fresh') : (entry.pinned ? 'pinned' : '');
+      return '<tr><td>' + number + '</td><td>' + escapeHtml(value) + '</td><td class="muted">' + escapeHtml(entry.categories.join(', ') || 'umum')
+        + ' · bobot ' + entry.weight + (state ? ' · ' + state : '') + '</td><td>'
+        + '<button onclick="editEntry(\\'' + type + '\\',' + number + ')">Edit</button> '
+        + (type === 'hashtags' ? '<button onclick="togglePin(' + number + ',' + !entry.pinned + ')">' + (entry.pinned ? 'Unpin' : 'Pin') + '</button> ' : '')
+        + '<button onclick="removeEntry(\\'' + type + '\\',' + number + ')">Hapus</button></td></tr>';
+    }).join('');
+    window['bank_' + type] = data.entries;
+  } catch (error) {
+    $(type).innerHTML = '<tr><td>Gagal load bank: ' + escapeHtml(error.message) + '</td></tr>';
+  }
+}
+
+async function mutate(action) {
+  try {
+    showMessage('');
+    await action();
+  } catch (error) {
+    showMessage(error.message);
+  }
+}
+
+function addEntry(type) {
+  const prefix = type === 'captions' ? 'new-caption' : 'new-hashtag';
+  const body = { categories: $(prefix + '-categories').value, weight: $(prefix + '-weight').value };
+  if (type === 'captions') body.text = $(prefix).value;
+  else Object.assign(body, { tag: $(prefix).value, pinned: $(prefix + '-pinned').checked });
+  return mutate(async () => {
+    await api('/api/banks/' + type, { method: 'POST', body });
+    $(prefix).value = '';
+    await loadBank(type);
+  });
+}
+
+function editEntry(type, number) {
+  const entry = window['bank_' + type][number - 1];
+  const value = prompt('Isi baru:', type === 'captions' ? entry.text : entry.tag);
+  if (value === null) return;
+  const categories = prompt('Kategori (pisah koma, kosong = umum):', entry.categories.join(', '));
+  if (categories === null) return;
+  const weight = prompt('Bobot:', entry.weight);
+  if (weight === null) return;
+  const body = { categories, weight, expect: type === 'captions' ? entry.text : entry.tag };
+  body[type === 'captions' ? 'text' : 'tag'] = value;
+  return mutate(async () => {
+    await api('/api/banks/' + type + '/' + number, { method: 'PUT', body });
+    await loadBank(type);
+  });
+}
+
+function togglePin(number, pinned) {
+  const expect = window.bank_hashtags[number - 1].tag;
+  return mutate(async () => {
+    await api('/api/banks/hashtags/' + number, { method: 'PUT', body: { pinned, expect } });
+    await loadBank('hashtags');
+  });
+}
+
+function removeEntry(type, number) {
+  if (!confirm('Hapus nomor ' + number + '?')) return;
+  const entry = window['bank_' + type][number - 1];
+  const expect = type === 'captions' ? entry.text : entry.tag;
+  return mutate(async () => {
+    await api('/api/banks/' + type + '/' + number, { method: 'DELETE', body: { expect } });
+    await loadBank(type);
+  });
+}
+
+function triggerRun(dryRun) {
+  const body = { profile: $('profile').value.trim() || undefined };
+  $('run-result').textContent = 'Jalan...';
+  return mutate(async () => {
+    try {
+      const result = await api(dryRun ? '/api/dry-run' : '/api/run', { method: 'POST', body });
+      $('run-result').textContent = JSON.stringify(result, null, 2);
+    } catch (error) {
+      $('run-result').textContent = '';
+      throw error;
+    }
+    if (!dryRun) await Promise.all([loadJobs(), loadStock(), loadBank('captions')]);
+  });
+}
+
+loadStock();
+loadJobs();
+loadBank('captions');
+loadBank('hashtags');
+</script>
+</body>
+</html>
+`;
+
+function startServer() {
+  if (!LOOPBACK_HOSTS.has(host) && !accessToken) {
+    throw new Error(
+      `Refusing to listen on ${host} without AUTO_PREVIEW_DASHBOARD_TOKEN. Set a token or keep the default 127.0.0.1.`,
+    );
+  }
+
+  const server = http.createServer((req, res) => {
+    if (!isAllowedHost(req)) {
+      sendJson(res, 403, { status: 'error', reason: `Host "${req.headers.host ?? ''}" not allowed without AUTO_PREVIEW_DASHBOARD_TOKEN.` });
+      return;
+    }
+    if (!isAuthorized(req)) {
+      res.writeHead(401, { 'www-authenticate': 'Basic realm="n8n-auto-preview"' });
+      res.end();
+      return;
+    }
+
+    handleRequest(req, res).catch((error) => {
+      const statusCode = error instanceof HttpError ? error.statusCode : 500;
+      if (statusCode === 500) log(`Dashboard error on ${req.method} ${req.url}: ${error.message}`);
+      if (res.headersSent) {
+        res.destroy();
+        return;
+      }
+      sendJson(res, statusCode, { status: 'error', reason: error.message });
+    });
+  });
+
+  server.listen(port, host, () => {
+    log(`Dashboard listening on http://${host}:${port} (root: ${rootDir}${channelName ? `, channel: ${channelName}` : ''}).`);
+  });
+}
+
+try {
+  startServer();
+} catch (error) {
+  console.error(error.message);
+  process.exitCode = 1;
+}
@@ -1,10 +1,13 @@
 #!/usr/bin/env node
 
 import fs from 'node:fs/promises';
-import { constants as fsConstants, existsSync } from 'node:fs';
+import { constants as fsConstants, createReadStream, existsSync, openAsBlob } from 'node:fs';
 import { spawn } from 'node:child_process';
+import { createHash, createHmac, randomUUID } from 'node:crypto';
+import os from 'node:os';
 import path from 'node:path';
 import { fileURLToPath } from 'node:url';
+import { parseArgs } from 'node:util';
 
 const IMAGE_EXTENSIONS = new Set([
   '.jpg',
@@ -39,19 +42,207 @@ const scriptDir = path.dirname(fileURLToPath(import.meta.url));
 const defaultRoot = path.resolve(scriptDir, '..');
 const rootDir = process.env.AUTO_PREVIEW_ROOT || defaultRoot;
 
-const sourceImageDir = path.join(rootDir, 'source_media', 'images');
-const sourceVideoDir = path.join(rootDir, 'source_media', 'videos');
-const outputJobsDir = path.join(rootDir, 'output_jobs');
-const dataDir = path.join(rootDir, 'data');
-const captionsPath = path.join(dataDir, 'captions.json');
-const hashtagsPath = path.join(dataDir, 'hashtags.json');
-const lockFilePath = path.join(dataDir, '.run.lock');
+const profilesPath = path.join(rootDir, 'data', 'profiles.json');
+const platformsPath = path.join(rootDir, 'data', 'platforms.json');
+const channelsConfigPath = path.join(rootDir, 'data', 'channels.json');
+const schedulePath = path.join(rootDir, 'data', 'schedule.json');
+const STAGING_PREFIX = '.staging-';
+const STAGING_JOURNAL_NAME = '.journal.json';
+const STAGING_CAPTIONS_NAME = '.caption_usage.json';
+const STAGING_ORIGINALS_DIR = '.originals';
+const PINNED_MARKER = '.pinned';
+const DELIVERY_STATUS_NAME = 'delivery.json';
+const DEFAULT_TIME_ZONE = resolveTimeZoneEnv();
+// Indonesian zones keep the familiar suffix in job folder names; anything else uses the Intl short name.
+const TIME_ZONE_LABELS = {
+  'Asia/Jakarta': 'WIB',
+  'Asia/Pontianak': 'WIB',
+  'Asia/Makassar': 'WITA',
+  'Asia/Jayapura': 'WIT',
+};
+
+// Everything below follows the active layout: the root one by default, or a channel's
+// dirs after applyLayout() for --channel. profiles.json/platforms.json stay shared.
+let activeChannel = null;
+let timeZone = DEFAULT_TIME_ZONE;
+let sourceImageDir;
+let sourceVideoDir;
+let outputJobsDir;
+let dataDir;
+let captionsPath;
+let hashtagsPath;
+let mediaIndexPath;
+let captionVarsPath;
+let lockFilePath;
+let lowStockStatePath;
+let archiveDir;
+let retentionPath;
+let deliveryConfigPath;
+let deliveryQueuePath;
+let runStatePath;
+let historyPath;
+applyLayout({
+  source_images_dir: path.join(rootDir, 'source_media', 'images'),
+  source_videos_dir: path.join(rootDir, 'source_media', 'videos'),
+  output_dir: path.join(rootDir, 'output_jobs'),
+  data_dir: path.join(rootDir, 'data'),
+  timezone: DEFAULT_TIME_ZONE,
+});
 const DEFAULT_VIDEO_MAX_SECONDS = 30;
 const videoMaxSeconds = resolveVideoMaxSeconds();
+const dedupeRecentJobs = resolveNonNegativeIntEnv('AUTO_PREVIEW_DEDUPE_RECENT_JOBS', 5);
+const minFreeDiskMb = resolveNonNegativeIntEnv('AUTO_PREVIEW_MIN_FREE_MB', 1024);
+const perceptualHashEnabled = process.env.AUTO_PREVIEW_PHASH === '1';
+const perceptualHashMaxDistance = resolveNonNegativeIntEnv('AUTO_PREVIEW_PHASH_MAX_DISTANCE', 6);
+const lowStockRuns = resolveNonNegativeIntEnv('AUTO_PREVIEW_LOW_STOCK_RUNS', 0);
+const lowStockWebhook = process.env.AUTO_PREVIEW_ALERT_WEBHOOK || null;
+const lowStockCommand = process.env.AUTO_PREVIEW_ALERT_COMMAND || null;
+const ALERT_TIMEOUT_MS = 10000;
+// 0 disables expiry; the heartbeat keeps a long ffmpeg run well inside the timeout.
+const lockTimeoutSeconds = resolveNonNegativeIntEnv('AUTO_PREVIEW_LOCK_TIMEOUT_SECONDS', 600);
+const LOCK_UNREADABLE_GRACE_MS = 10 * 1000;
+const LOCK_TAKEOVER_GUARD_MS = 30 * 1000;
+const BANK_LOCK_WAIT_MS = 15 * 1000;
+const BANK_LOCK_STALE_MS = 2 * 60 * 1000;
+const CHILD_KILL_GRACE_MS = 5 * 1000;
+let heldLock = null;
+let heartbeatTimer = null;
+let lockLost = false;
+const activeChildren = new Set();
+const STATS_TOP_N = 5;
+
+// Built-in profile used when data/profiles.json is missing. Matches the original
+// "4 media, mix 1-3 images, else single type" rule.
+const DEFAULT_PROFILE_NAME = 'default';
+const DEFAULT_PROFILE = {
+  min_total: 4,
+  max_total: 4,
+  min_images: 1,
+  max_images: 3,
+  min_videos: 1,
+  max_videos: 3,
+  fallback: ['images_only', 'videos_only'],
+};
+const FALLBACK_MODES = new Set(['images_only', 'videos_only']);
+
+// Output presets for the optional video re-encode step. profiles.json can add more under
+// "video_presets"; a profile opts in with "video_preset".
+const BUILTIN_VIDEO_PRESETS = {
+  vertical_1080: { width: 1080, height: 1920, fit: 'crop' },
+  square_1080: { width: 1080, height: 1080, fit: 'crop' },
+  landscape_1080: { width: 1920, height: 1080, fit: 'pad' },
+};
+const VIDEO_PRESET_DEFAULTS = {
+  fit: 'crop',
+  video_codec: 'libx264',
+  audio_codec: 'aac',
+  container: 'mp4',
+  crf: 23,
+  encoder_preset: 'veryfast',
+  max_video_bitrate: null,
+  audio_bitrate: '128k',
+  faststart: true,
+};
+const VIDEO_FIT_MODES = new Set(['crop', 'pad']);
+
+// Optional per-profile image conversion ("image_output"). By default only formats most
+// uploaders reject are converted; "convert": "all" converts every picked image.
+const IMAGE_OUTPUT_DEFAULTS = {
+  format: 'jpg',
+  convert: ['heic', 'heif', 'tif', 'tiff', 'bmp', 'avif'],
+  quality: 85,
+  max_edge: null,
+  aspect: null,
+  fit: 'crop',
+  pad_color: 'white',
+  strip_metadata: true,
+};
+const IMAGE_OUTPUT_FORMATS = new Set(['jpg', 'webp']);
+
+// Which part of a video is kept ("video_trim" in a profile). The window length is
+// always AUTO_PREVIEW_VIDEO_MAX_SECONDS; the strategy only picks where it starts.
+const VIDEO_TRIM_DEFAULTS = {
+  strategy: 'start',
+  offset_seconds: 0,
+  scan_seconds: 20,
+  detect: ['black', 'silence'],
+  black_min_seconds: 0.1,
+  black_pixel_threshold: 0.1,
+  silence_noise_db: -50,
+  silence_min_seconds: 0.5,
+};
+// data/retention.json; null switches a rule off, so a missing file means keep everything.
+const RETENTION_DEFAULTS = {
+  archive_after_days: null,
+  delete_archives_after_days: null,
+  quota_mb: null,
+  archive_format: 'tar',
+  run_after_job: false,
+};
+const ARCHIVE_FORMATS = new Set(['tar', 'zip']);
+// data/delivery.json; retries back off exponentially from retry_base_seconds up to retry_max_seconds.
+const DELIVERY_DEFAULTS = { max_attempts: 8, retry_base_seconds: 60, retry_max_seconds: 3600, timeout_seconds: 120 };
+const DELIVERY_TYPES = new Set(['copy', 'webhook', 's3', 'sftp']);
+// Posting limits per target platform; data/platforms.json overrides or adds entries.
+const BUILTIN_PLATFORMS = {
+  instagram: { max_caption_chars: 2200, max_hashtags: 30, hashtag_placement: 'newline' },
+  tiktok: { max_caption_chars: 2200, max_hashtags: 10, hashtag_placement: 'inline' },
+  x: { max_caption_chars: 280, max_hashtags: 3, hashtag_placement: 'inline' },
+  whatsapp: { max_caption_chars: 700, max_hashtags: 5, hashtag_placement: 'newline' },
+};
+const HASHTAG_PLACEMENTS = new Set(['newline', 'inline']);
+// "hashtag_rules" in a profile. cooldown_jobs = don't reuse a tag used in the last N jobs.
+const HASHTAG_RULE_DEFAULTS = { min: 3, max: 5, cooldown_jobs: 0, platform: null };
+
+// Variables every caption template can use; caption_vars.json adds custom ones.
+const BUILTIN_TEMPLATE_VARIABLES = ['date_wib', 'day_name', 'image_count', 'video_count', 'job_name'];
+const TEMPLATE_VARIABLE_PATTERN = /\{\s*([a-z_][a-z0-9_]*)\s*\}/gi;
+const TEMPLATE_VARIABLE_NAME = /^[a-z_][a-z0-9_]*$/i;
+const VIDEO_TRIM_STRATEGIES = new Set(['start', 'offset', 'random', 'middle', 'skip_intro']);
+const INTRO_DETECTORS = new Set(['black', 'silence']);
+// EXIF orientation -> ffmpeg filters that bring the pixels upright.
+const EXIF_ORIENTATION_FILTERS = {
+  2: 'hflip',
+  3: 'hflip,vflip',
+  4: 'vflip',
+  5: 'transpose=0',
+  6: 'transpose=1',
+  7: 'transpose=3',
+  8: 'transpose=2',
+};
+// Encoder name -> codec name as reported by ffprobe, used to decide if stream copy is enough.
+const ENCODER_CODEC_NAMES = {
+  libx264: 'h264',
+  libx265: 'hevc',
+  'libvpx-vp9': 'vp9',
+  aac: 'aac',
+  libopus: 'opus',
+};
+
+// With --json, stdout is reserved for the single result object, so log lines go to stderr.
+let jsonOutput = false;
+// AUTO_PREVIEW_LOG_FORMAT=json turns every log line into one JSON object for log shippers.
+const LOG_FORMATS = new Set(['text', 'json']);
+const logFormat = resolveLogFormat();
 
 function log(message) {
   const ts = new Date().toISOString();
-  console.log(`[${ts}] ${message}`);
+  let line;
+  if (logFormat === 'json') {
+    line = JSON.stringify({ ts, channel: activeChannel?.name ?? null, message });
+  } else {
+    line = activeChannel ? `[${ts}] [${activeChannel.name}] ${message}` : `[${ts}] ${message}`;
+  }
+  if (jsonOutput) {
+    console.error(line);
+    return;
+  }
+  console.log(line);
+}
+
+function emitResult(result) {
+  if (!jsonOutput) return;
+  console.log(JSON.stringify(activeChannel ? { channel: activeChannel.name, ...result } : result));
 }
 
 function randomIntInclusive(min, max) {
@@ -72,449 +263,4048 @@ function resolveVideoMaxSeconds() {
   return parsed;
 }
 
-function runProcess(command, args) {
-  return new Promise((resolve, reject) => {
-    const child = spawn(command, args, {
-      stdio: ['ignore', 'ignore', 'pipe'],
-    });
+function resolveLogFormat() {
+  const raw = process.env.AUTO_PREVIEW_LOG_FORMAT || 'text';
+  if (!LOG_FORMATS.has(raw)) {
+    throw new Error(`AUTO_PREVIEW_LOG_FORMAT must be one of: ${[...LOG_FORMATS].join(', ')}. Received: "${raw}".`);
+  }
+  return raw;
+}
 
-    let stderr = '';
-    child.stderr.setEncoding('utf8');
-    child.stderr.on('data', (chunk) => {
-      stderr += chunk;
-    });
+function resolveTimeZoneEnv() {
+  const raw = process.env.AUTO_PREVIEW_TIMEZONE;
+  if (!raw) {
+    return 'Asia/Jakarta';
+  }
+  if (!isValidTimeZone(raw)) {
+    throw new Error(`AUTO_PREVIEW_TIMEZONE must be an IANA time zone like "Asia/Jakarta". Received: "${raw}".`);
+  }
+  return raw;
+}
 
-    child.on('error', (error) => {
-      reject(error);
-    });
+function resolveNonNegativeIntEnv(name, defaultValue) {
+  const raw = process.env[name];
+  if (!raw) {
+    return defaultValue;
+  }
 
-    child.on('close', (code) => {
-      if (code === 0) {
-        resolve();
-        return;
-      }
+  const parsed = Number(raw);
+  if (!Number.isInteger(parsed) || parsed < 0) {
+    throw new Error(`${name} must be a non-negative integer. Received: "${raw}".`);
+  }
 
-      const message = stderr.trim()
-        ? `${command} exited with code ${code}: ${stderr.trim()}`
-        : `${command} exited with code ${code}.`;
-      reject(new Error(message));
-    });
-  });
+  return parsed;
 }
 
-function pickRandomItems(items, count) {
-  if (count <= 0) return [];
-  if (count > items.length) {
-    throw new Error(`Cannot pick ${count} items from ${items.length} items.`);
+// 5-field cron ("m h dom mon dow") with *, lists, ranges and steps; dow 0 and 7 are Sunday.
+const CRON_FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'day', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12 },
+  { name: 'weekday', min: 0, max: 7 },
+];
+const SCHEDULE_DEFAULTS = {
+  cron: '*/2 * * * *',
+  posting_windows: [],
+  quiet_hours: [],
+  daily_cap: null,
+};
+const WEEKDAY_NUMBERS = { Sun: 0, Mon: 1, Tue: 2, Wed: 3, Thu: 4, Fri: 5, Sat: 6 };
+
+function parseCronField(raw, { name, min, max }, expression) {
+  const values = new Set();
+  for (const part of raw.split(',')) {
+    const match = part.match(/^(\*|(\d+)(?:-(\d+))?)(?:\/(\d+))?$/);
+    if (!match) {
+      throw new Error(`Invalid cron expression "${expression}": bad ${name} field "${raw}".`);
+    }
+    const [, base, rangeStart, rangeEnd, stepRaw] = match;
+    const step = stepRaw === undefined ? 1 : Number(stepRaw);
+    let start = min;
+    let end = max;
+    if (base !== '*') {
+      start = Number(rangeStart);
+      // "5/15" runs from 5 to the end of the field, like most cron implementations.
+      end = rangeEnd !== undefined ? Number(rangeEnd) : stepRaw !== undefined ? max : start;
+    }
+    if (start < min || end > max || start > end || step < 1) {
+      throw new Error(`Invalid cron expression "${expression}": ${name} "${part}" must stay within ${min}-${max}.`);
+    }
+    for (let value = start; value <= end; value += step) {
+      values.add(name === 'weekday' && value === 7 ? 0 : value);
+    }
   }
+  return values;
+}
 
-  const pool = [...items];
-  const selected = [];
-  for (let i = 0; i < count; i += 1) {
-    const idx = Math.floor(Math.random() * pool.length);
-    selected.push(pool[idx]);
-    pool.splice(idx, 1);
+function parseCronExpression(expression) {
+  const fields = String(expression).trim().split(/\s+/);
+  if (fields.length !== CRON_FIELDS.length) {
+    throw new Error(`Invalid cron expression "${expression}": expected 5 fields (minute hour day month weekday).`);
   }
-  return selected;
+  const parsed = Object.fromEntries(CRON_FIELDS.map((field, index) => [field.name, parseCronField(fields[index], field, expression)]));
+  // Classic cron: when both day and weekday are restricted, either one matching is enough.
+  parsed.dayOrWeekday = fields[2] !== '*' && fields[4] !== '*';
+  return parsed;
 }
 
-async function ensureDirectories() {
-  await fs.mkdir(sourceImageDir, { recursive: true });
-  await fs.mkdir(sourceVideoDir, { recursive: true });
-  await fs.mkdir(outputJobsDir, { recursive: true });
-  await fs.mkdir(dataDir, { recursive: true });
+function zonedTimeParts(date, zone) {
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat('en-US', {
+      timeZone: zone,
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      weekday: 'short',
+      hourCycle: 'h23',
+    })
+      .formatToParts(date)
+      .filter((part) => part.type !== 'literal')
+      .map((part) => [part.type, part.value]),
+  );
+  return {
+    date: `${parts.year}-${parts.month}-${parts.day}`,
+    minute: Number(parts.minute),
+    hour: Number(parts.hour),
+    day: Number(parts.day),
+    month: Number(parts.month),
+    weekday: WEEKDAY_NUMBERS[parts.weekday],
+  };
 }
 
-async function isProcessAlive(pid) {
-  if (!Number.isInteger(pid) || pid <= 0) return false;
-  try {
-    process.kill(pid, 0);
-    return true;
-  } catch (error) {
-    if (error.code === 'ESRCH') return false;
-    if (error.code === 'EPERM') return true;
-    throw error;
+function cronMatches(cron, date, zone) {
+  const now = zonedTimeParts(date, zone);
+  if (!cron.minute.has(now.minute) || !cron.hour.has(now.hour) || !cron.month.has(now.month)) {
+    return false;
   }
+  return cron.dayOrWeekday
+    ? cron.day.has(now.day) || cron.weekday.has(now.weekday)
+    : cron.day.has(now.day) && cron.weekday.has(now.weekday);
 }
 
-async function acquireLock() {
-  const payload = `${process.pid}\n${new Date().toISOString()}\n`;
+function parseTimeWindow(raw, label) {
+  const match = typeof raw === 'string' ? raw.trim().match(/^(\d{1,2}):(\d{2})-(\d{1,2}):(\d{2})$/) : null;
+  const [startHour, startMinute, endHour, endMinute] = match ? match.slice(1).map(Number) : [];
+  if (!match || startHour > 23 || endHour > 24 || startMinute > 59 || endMinute > 59 || (endHour === 24 && endMinute > 0)) {
+    throw new Error(`${label}: "${raw}" is not a valid window. Use "HH:MM-HH:MM", e.g. "08:00-22:00".`);
+  }
+  return { label: raw.trim(), start: startHour * 60 + startMinute, end: endHour * 60 + endMinute };
+}
 
-  try {
-    const lockHandle = await fs.open(lockFilePath, 'wx', 0o644);
-    await lockHandle.writeFile(payload);
-    await lockHandle.close();
-    return true;
-  } catch (error) {
-    if (error.code !== 'EEXIST') throw error;
+function isInTimeWindow(window, minuteOfDay) {
+  // "22:00-06:00" wraps past midnight.
+  if (window.start <= window.end) {
+    return minuteOfDay >= window.start && minuteOfDay < window.end;
+  }
+  return minuteOfDay >= window.start || minuteOfDay < window.end;
+}
+
+function normalizePostingRules(raw, label) {
+  const rules = {};
+  for (const key of ['posting_windows', 'quiet_hours']) {
+    if (raw[key] === undefined) continue;
+    if (!Array.isArray(raw[key])) {
+      throw new Error(`${label}: ${key} must be an array of "HH:MM-HH:MM" strings.`);
+    }
+    rules[key] = raw[key].map((window) => parseTimeWindow(window, `${label} ${key}`));
+  }
+  if (raw.daily_cap !== undefined) {
+    if (raw.daily_cap !== null && (!Number.isInteger(raw.daily_cap) || raw.daily_cap <= 0)) {
+      throw new Error(`${label}: daily_cap must be a positive integer or null.`);
+    }
+    rules.daily_cap = raw.daily_cap;
   }
+  return rules;
+}
 
+async function loadSchedule() {
+  let raw = {};
   try {
-    const existing = await fs.readFile(lockFilePath, 'utf8');
-    const firstLine = existing.split(/\r?\n/, 1)[0]?.trim();
-    const activePid = Number(firstLine);
-    if (await isProcessAlive(activePid)) {
-      return false;
+    raw = await readJsonFile(schedulePath);
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      throw new Error(`Failed to read ${schedulePath}. ${error.message}`);
     }
-  } catch {
-    // If lock file can't be parsed/read, treat it as stale.
+  }
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+    throw new Error('schedule.json must contain an object.');
   }
 
-  await fs.rm(lockFilePath, { force: true });
-  const lockHandle = await fs.open(lockFilePath, 'wx', 0o644);
-  await lockHandle.writeFile(payload);
-  await lockHandle.close();
-  return true;
+  const schedule = { ...SCHEDULE_DEFAULTS, ...normalizePostingRules(raw, 'schedule.json') };
+  if (raw.cron !== undefined) {
+    schedule.cron = raw.cron;
+  }
+  schedule.parsedCron = parseCronExpression(schedule.cron);
+  return schedule;
 }
 
-async function releaseLock() {
-  await fs.rm(lockFilePath, { force: true });
-}
+function checkPostingRules(rules, state, now = new Date()) {
+  const local = zonedTimeParts(now, timeZone);
+  const minuteOfDay = local.hour * 60 + local.minute;
+  const clock = `${String(local.hour).padStart(2, '0')}:${String(local.minute).padStart(2, '0')} ${timeZone}`;
 
-async function readJsonFile(filePath) {
-  const content = await fs.readFile(filePath, 'utf8');
-  return JSON.parse(content);
+  if (rules.posting_windows.length > 0 && !rules.posting_windows.some((window) => isInTimeWindow(window, minuteOfDay))) {
+    return {
+      reason: 'outside_posting_window',
+      detail: `${clock} is outside posting windows ${rules.posting_windows.map((window) => window.label).join(', ')}.`,
+    };
+  }
+  const quiet = rules.quiet_hours.find((window) => isInTimeWindow(window, minuteOfDay));
+  if (quiet) {
+    return { reason: 'quiet_hours', detail: `${clock} is inside quiet hours ${quiet.label}.` };
+  }
+  const jobsToday = state.daily?.date === local.date ? state.daily.jobs : 0;
+  if (rules.daily_cap !== null && jobsToday >= rules.daily_cap) {
+    return { reason: 'daily_cap_reached', detail: `daily cap reached (${jobsToday}/${rules.daily_cap} jobs on ${local.date}).` };
+  }
+  return null;
 }
 
-async function writeJsonFile(filePath, value) {
-  const content = JSON.stringify(value, null, 2);
-  await fs.writeFile(filePath, `${content}\n`, 'utf8');
+// Each tick runs the normal CLI in a child process, so a crashed or hung job never takes the
+// daemon down and the lock/window/cap rules stay exactly the same as for n8n.
+function runDaemonTick(args) {
+  return new Promise((resolve) => {
+    const child = spawn(process.execPath, [fileURLToPath(import.meta.url), ...args, '--json'], {
+      cwd: rootDir,
+      stdio: ['ignore', 'pipe', 'inherit'],
+      env: { ...process.env, AUTO_PREVIEW_ROOT: rootDir },
+    });
+    let stdout = '';
+    child.stdout.setEncoding('utf8');
+    child.stdout.on('data', (chunk) => {
+      stdout += chunk;
+    });
+    child.on('error', (error) => {
+      log(`Daemon tick failed to start: ${error.message}`);
+      resolve(null);
+    });
+    child.on('close', (code) => {
+      try {
+        resolve(JSON.parse(stdout.trim().split('\n').pop()));
+      } catch {
+        log(`Daemon tick exited with code ${code} without a result.`);
+        resolve(null);
+      }
+    });
+  });
 }
 
-async function collectFilesRecursive(root, extensionSet) {
-  if (!existsSync(root)) return [];
+async function runDaemon(profileOverride) {
+  let schedule = await loadSchedule();
+  const channels = await loadChannels();
+  const args = activeChannel ? ['--channel', activeChannel.name] : channels.length > 0 ? ['--all-channels'] : [];
+  if (profileOverride) args.push('--profile', profileOverride);
+  const deliveryTargets = activeChannel
+    ? [{ args: ['--channel', activeChannel.name], data_dir: activeChannel.data_dir }]
+    : channels.length > 0
+      ? channels.filter((channel) => channel.enabled).map((channel) => ({ args: ['--channel', channel.name], data_dir: channel.data_dir }))
+      : [{ args: [], data_dir: dataDir }];
+  log(
+    `Daemon started: cron "${schedule.cron}" (${DEFAULT_TIME_ZONE}), target=${activeChannel ? `channel ${activeChannel.name}` : channels.length > 0 ? 'all channels' : 'root'}.`,
+  );
 
-  const results = [];
-  const queue = [root];
+  let stopping = false;
+  let wake = null;
+  const stop = (signal) => {
+    log(`Daemon stopping on ${signal}${wake ? '' : ' after the current run'}.`);
+    stopping = true;
+    wake?.();
+  };
+  process.once('SIGTERM', () => stop('SIGTERM'));
+  process.once('SIGINT', () => stop('SIGINT'));
 
-  while (queue.length > 0) {
-    const current = queue.shift();
-    const entries = await fs.readdir(current, { withFileTypes: true });
+  while (!stopping) {
+    // Sleep to just past the next minute boundary; ticks missed while a run was busy are skipped.
+    await new Promise((resolve) => {
+      const timer = setTimeout(resolve, 60 * 1000 - (Date.now() % (60 * 1000)) + 50);
+      wake = () => {
+        clearTimeout(timer);
+        resolve();
+      };
+    });
+    wake = null;
+    if (stopping) break;
 
-    for (const entry of entries) {
-      const fullPath = path.join(current, entry.name);
-      if (entry.isDirectory()) {
-        queue.push(fullPath);
-        continue;
+    // Reloaded every minute so schedule.json edits apply without a restart.
+    try {
+      schedule = await loadSchedule();
+    } catch (error) {
+      log(`Daemon keeps the previous schedule: ${error.message}`);
+    }
+    if (cronMatches(schedule.parsedCron, new Date(), DEFAULT_TIME_ZONE)) {
+      const result = await runDaemonTick(args);
+      if (result) {
+        log(`Daemon tick: status=${result.status}, reason=${result.reason ?? 'none'}.`);
       }
+    }
+    if (!stopping) await runDueDeliveries(deliveryTargets);
+  }
+  log('Daemon stopped.');
+}
 
-      if (!entry.isFile()) {
-        continue;
-      }
+// A run only tries to deliver its own job, so queued retries are picked up here, after the run
+// tick, in the same child-process way. Layouts with nothing due are skipped without a spawn.
+async function runDueDeliveries(targets) {
+  for (const target of targets) {
+    let queue;
+    try {
+      queue = await readJsonFile(path.join(target.data_dir, 'delivery_queue.json'));
+    } catch {
+      continue;
+    }
+    if (!queue.some((entry) => Date.parse(entry.next_attempt_at) <= Date.now())) continue;
 
-      const ext = path.extname(entry.name).toLowerCase();
-      if (extensionSet.has(ext)) {
-        results.push(fullPath);
-      }
+    const result = await runDaemonTick(['deliver', ...target.args]);
+    if (result) {
+      log(
+        `Daemon delivery${target.args.length > 0 ? ` [${target.args[1]}]` : ''}: status=${result.status}, delivered=${result.delivered ?? 0}, retrying=${result.retrying ?? 0}, failed=${result.failed ?? 0}.`,
+      );
     }
   }
+}
 
-  results.sort((a, b) => a.localeCompare(b));
-  return results;
+function parseCliArgs(argv) {
+  const { values, positionals } = parseArgs({
+    args: argv,
+    options: {
+      profile: { type: 'string' },
+      channel: { type: 'string' },
+      'all-channels': { type: 'boolean', default: false },
+      'dry-run': { type: 'boolean', default: false },
+      force: { type: 'boolean', default: false },
+      json: { type: 'boolean', default: false },
+    },
+    allowPositionals: true,
+    strict: true,
+  });
+  const [command = 'run', ...commandArgs] = positionals;
+  return { ...values, command, commandArgs };
 }
 
-function chooseComposition(imageCount, videoCount) {
-  const total = imageCount + videoCount;
-  if (total < 4) {
-    return null;
-  }
+function applyLayout(layout) {
+  sourceImageDir = layout.source_images_dir;
+  sourceVideoDir = layout.source_videos_dir;
+  outputJobsDir = layout.output_dir;
+  dataDir = layout.data_dir;
+  timeZone = layout.timezone;
+  captionsPath = path.join(dataDir, 'captions.json');
+  hashtagsPath = path.join(dataDir, 'hashtags.json');
+  mediaIndexPath = path.join(dataDir, 'media_index.json');
+  captionVarsPath = path.join(dataDir, 'caption_vars.json');
+  lockFilePath = path.join(dataDir, '.run.lock');
+  lowStockStatePath = path.join(dataDir, 'low_stock_alert.json');
+  archiveDir = path.join(outputJobsDir, '.archive');
+  retentionPath = path.join(dataDir, 'retention.json');
+  deliveryConfigPath = path.join(dataDir, 'delivery.json');
+  deliveryQueuePath = path.join(dataDir, 'delivery_queue.json');
+  runStatePath = path.join(dataDir, 'run_state.json');
+  historyPath = path.join(dataDir, 'history.jsonl');
+}
 
-  if (imageCount > 0 && videoCount > 0) {
-    const possibleImageCounts = [];
-    for (let candidate = 1; candidate <= 3; candidate += 1) {
-      const remainingVideos = 4 - candidate;
-      if (candidate <= imageCount && remainingVideos <= videoCount) {
-        possibleImageCounts.push(candidate);
-      }
-    }
+function isValidTimeZone(value) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: value });
+    return true;
+  } catch {
+    return false;
+  }
+}
 
-    if (possibleImageCounts.length > 0) {
-      const imagePick = possibleImageCounts[Math.floor(Math.random() * possibleImageCounts.length)];
-      return { images: imagePick, videos: 4 - imagePick };
+function normalizeChannel(name, raw) {
+  const label = `channels.json channel "${name}"`;
+  if (!/^[A-Za-z0-9_-]+$/.test(name)) {
+    throw new Error(`channels.json: channel name "${name}" may only contain letters, digits, "_" and "-".`);
+  }
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+    throw new Error(`${label} must be an object.`);
+  }
+  for (const key of ['dir', 'source_images_dir', 'source_videos_dir', 'data_dir', 'output_dir', 'profile', 'timezone']) {
+    if (raw[key] !== undefined && (typeof raw[key] !== 'string' || !raw[key].trim())) {
+      throw new Error(`${label}: ${key} must be a non-empty string.`);
     }
   }
 
-  if (imageCount >= 4) {
-    return { images: 4, videos: 0 };
+  // Relative paths are resolved against the install root; unset dirs mirror the root layout under "dir".
+  const baseDir = path.resolve(rootDir, raw.dir ?? path.join('channels', name));
+  const resolveDir = (key, ...fallback) => (raw[key] ? path.resolve(rootDir, raw[key]) : path.join(baseDir, ...fallback));
+  const channel = {
+    name,
+    enabled: raw.enabled ?? true,
+    profile: raw.profile ?? null,
+    timezone: raw.timezone ?? DEFAULT_TIME_ZONE,
+    interval_minutes: raw.interval_minutes ?? null,
+    source_images_dir: resolveDir('source_images_dir', 'source_media', 'images'),
+    source_videos_dir: resolveDir('source_videos_dir', 'source_media', 'videos'),
+    data_dir: resolveDir('data_dir', 'data'),
+    output_dir: resolveDir('output_dir', 'output_jobs'),
+  };
+  if (typeof channel.enabled !== 'boolean') {
+    throw new Error(`${label}: enabled must be true or false.`);
   }
-
-  if (videoCount >= 4) {
-    return { images: 0, videos: 4 };
+  if (!isValidTimeZone(channel.timezone)) {
+    throw new Error(`${label}: unknown timezone "${channel.timezone}".`);
   }
-
-  return null;
+  if (channel.interval_minutes !== null && (!Number.isInteger(channel.interval_minutes) || channel.interval_minutes <= 0)) {
+    throw new Error(`${label}: interval_minutes must be a positive integer or null.`);
+  }
+  // Unset keys fall back to data/schedule.json at run time.
+  channel.posting_rules = normalizePostingRules(raw, label);
+  return channel;
 }
 
-function normalizeCaptionEntries(raw) {
-  if (!Array.isArray(raw)) {
-    throw new Error('captions.json must contain an array.');
+async function loadChannels() {
+  let raw;
+  try {
+    raw = await readJsonFile(channelsConfigPath);
+  } catch (error) {
+    if (error.code === 'ENOENT') return [];
+    throw new Error(`Failed to read ${channelsConfigPath}. ${error.message}`);
   }
+  if (!raw || typeof raw !== 'object' || !raw.channels || typeof raw.channels !== 'object' || Array.isArray(raw.channels)) {
+    throw new Error('channels.json must contain an object with a "channels" object.');
+  }
+  return Object.entries(raw.channels).map(([name, value]) => normalizeChannel(name, value));
+}
 
-  return raw.map((entry, index) => {
-    if (typeof entry === 'string') {
-      return {
-        id: index + 1,
-        text: entry.trim(),
-        used: false,
-        used_at: null,
-      };
-    }
-
-    if (!entry || typeof entry !== 'object') {
-      throw new Error(`Invalid caption entry at index ${index}.`);
-    }
+async function useChannel(name) {
+  const channels = await loadChannels();
+  const channel = channels.find((entry) => entry.name === name);
+  if (!channel) {
+    const known = channels.map((entry) => entry.name);
+    throw new Error(
+      `Unknown channel "${name}". ${known.length > 0 ? `Known channels: ${known.join(', ')}.` : `No channels defined in ${channelsConfigPath}.`}`,
+    );
+  }
+  activeChannel = channel;
+  applyLayout(channel);
+  return channel;
+}
 
-    const textCandidate =
-      typeof entry.text === 'string'
-        ? entry.text
-        : typeof entry.caption === 'string'
-          ? entry.caption
-          : '';
+async function loadRunState() {
+  try {
+    return await readJsonFile(runStatePath);
+  } catch {
+    return {};
+  }
+}
 
-    const text = textCandidate.trim();
-    if (!text) {
-      throw new Error(`Caption entry at index ${index} does not contain text.`);
-    }
+function isChannelDue(channel, state, now = Date.now()) {
+  if (channel.interval_minutes === null) return true;
+  const lastRunAt = Date.parse(state.last_run_at);
+  return !Number.isFinite(lastRunAt) || now - lastRunAt >= channel.interval_minutes * 60 * 1000;
+}
 
-    return {
-      id: entry.id ?? index + 1,
-      text,
-      used: Boolean(entry.used),
-      used_at: entry.used_at ?? null,
-    };
+async function recordRun(state, result, now = new Date()) {
+  const today = zonedTimeParts(now, timeZone).date;
+  const jobsToday = state.daily?.date === today ? state.daily.jobs : 0;
+  await writeJsonFile(runStatePath, {
+    last_run_at: now.toISOString(),
+    last_status: result.status,
+    last_reason: result.reason,
+    daily: { date: today, jobs: jobsToday + (result.status === 'success' ? 1 : 0) },
   });
 }
 
-function pickCaption(captions) {
-  let state = captions.map((entry) => ({ ...entry }));
-  let availableIndexes = state
-    .map((entry, index) => ({ entry, index }))
-    .filter(({ entry }) => !entry.used)
-    .map(({ index }) => index);
+// Posting windows, quiet hours and the daily cap apply to every run (n8n, daemon, dashboard),
+// evaluated in the active layout's timezone. run_state is read under the run lock so two runs
+// racing for the same slot cannot both pass the cap or write back a stale daily count.
+async function runScheduledJob(requestedProfile, rules, channel = null) {
+  const startedAt = new Date();
+  await ensureDirectories();
 
-  if (availableIndexes.length === 0) {
-    state = state.map((entry) => ({ ...entry, used: false, used_at: null }));
-    availableIndexes = state.map((_, index) => index);
+  const lockAcquired = await acquireLock();
+  if (!lockAcquired) {
+    log('Run skipped: previous execution is still active.');
+    const result = { status: 'skip', reason: 'locked', stock: await countSourceStock() };
+    await appendHistory(startedAt, result);
+    return result;
   }
 
-  if (availableIndexes.length === 0) {
-    throw new Error('No caption entries available in captions.json.');
-  }
+  try {
+    const state = await loadRunState();
+    if (channel && !isChannelDue(channel, state)) {
+      log(`Run skipped: channel is not due yet. interval_minutes=${channel.interval_minutes}.`);
+      return { status: 'skip', reason: 'not_due' };
+    }
+    const blocked = checkPostingRules(rules, state);
+    if (blocked) {
+      log(`Run skipped: ${blocked.detail}`);
+      const result = { status: 'skip', reason: blocked.reason, stock: await countSourceStock() };
+      await appendHistory(startedAt, result);
+      return result;
+    }
 
-  const selectedIndex = availableIndexes[Math.floor(Math.random() * availableIndexes.length)];
-  state[selectedIndex].used = true;
-  state[selectedIndex].used_at = new Date().toISOString();
+    let result;
+    try {
+      result = await createJob(requestedProfile);
+    } catch (error) {
+      await appendHistory(startedAt, { status: 'error', reason: error.message });
+      throw error;
+    }
+    await recordRun(state, result);
+    await appendHistory(startedAt, result);
+    return result;
+  } finally {
+    await releaseLock();
+  }
+}
 
-  return {
-    captionText: state[selectedIndex].text,
-    nextCaptions: state,
+// One JSON line per run in data/history.jsonl; append-only, so a crash mid-write loses at most
+// the last line. A failed write never fails the run itself.
+async function appendHistory(startedAt, result) {
+  const finishedAt = new Date();
+  const record = {
+    started_at: startedAt.toISOString(),
+    finished_at: finishedAt.toISOString(),
+    duration_ms: finishedAt - startedAt,
+    channel: activeChannel?.name ?? null,
+    status: result.status,
+    reason: result.reason,
+    profile: result.profile ?? null,
+    job_name: result.job_dir ? path.basename(result.job_dir) : null,
+    media: result.media ?? [],
+    caption_id: result.caption_id ?? null,
+    // bank_wizard renumbers caption ids on save, so stats key on the unrendered template.
+    caption_template: result.caption_template ?? null,
+    hashtags: result.hashtags ?? [],
   };
+  try {
+    await fs.mkdir(dataDir, { recursive: true });
+    await fs.appendFile(historyPath, `${JSON.stringify(record)}\n`, 'utf8');
+  } catch (error) {
+    log(`Warning: failed to append ${historyPath}. ${error.message}`);
+  }
 }
 
-function normalizeHashtags(raw) {
-  if (!Array.isArray(raw)) {
-    throw new Error('hashtags.json must contain an array.');
+async function runDueChannels(profileOverride) {
+  const channels = (await loadChannels()).filter((channel) => channel.enabled);
+  if (channels.length === 0) {
+    throw new Error(`No enabled channels in ${channelsConfigPath}.`);
   }
+  const schedule = await loadSchedule();
 
-  const tags = raw
-    .map((entry) => {
-      if (typeof entry === 'string') return entry;
-      if (entry && typeof entry === 'object') {
-        if (typeof entry.tag === 'string') return entry.tag;
-        if (typeof entry.hashtag === 'string') return entry.hashtag;
-        if (typeof entry.text === 'string') return entry.text;
-      }
-      return '';
-    })
-    .map((tag) => tag.trim())
-    .filter(Boolean)
-    .map((tag) => (tag.startsWith('#') ? tag : `#${tag.replace(/\s+/g, '')}`));
+  const results = [];
+  for (const channel of channels) {
+    activeChannel = channel;
+    applyLayout(channel);
+    try {
+      const result = await runScheduledJob(
+        profileOverride || channel.profile || process.env.AUTO_PREVIEW_PROFILE,
+        { ...schedule, ...channel.posting_rules },
+        channel,
+      );
+      results.push({ channel: channel.name, ...result });
+    } catch (error) {
+      // One broken channel must not stop the others from posting.
+      log(`Run failed: ${error.message}`);
+      results.push({ channel: channel.name, status: 'error', reason: error.message, stock: await countSourceStock() });
+    }
+  }
+  activeChannel = null;
 
-  return [...new Set(tags)];
+  const failed = results.filter((result) => result.status === 'error');
+  if (failed.length > 0) {
+    process.exitCode = 1;
+    return { status: 'error', reason: 'channel_failed', channels: results };
+  }
+  const anySuccess = results.some((result) => result.status === 'success');
+  return { status: anySuccess ? 'success' : 'skip', reason: anySuccess ? null : 'no_job_created', channels: results };
 }
 
-function pickHashtags(hashtags) {
+function readProfileInt(name, raw, key, fallbackValue) {
+  const value = raw[key];
+  if (value === undefined || value === null) {
+    return fallbackValue;
+  }
+
+  if (!Number.isInteger(value) || value < 0) {
+    throw new Error(`Profile "${name}": ${key} must be a non-negative integer. Received: ${JSON.stringify(value)}.`);
+  }
+
+  return value;
+}
+
+function parseBitrate(value) {
+  const match = /^(\d+(?:\.\d+)?)([kKmM]?)$/.exec(String(value));
+  if (!match) return null;
+  const multiplier = { '': 1, k: 1e3, m: 1e6 }[match[2].toLowerCase()];
+  return Math.round(Number(match[1]) * multiplier);
+}
+
+function normalizeVideoPreset(name, raw) {
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+    throw new Error(`Video preset "${name}" must be an object.`);
+  }
+
+  const preset = { ...VIDEO_PRESET_DEFAULTS, ...raw, name };
+  for (const key of ['width', 'height']) {
+    if (!Number.isInteger(preset[key]) || preset[key] <= 0 || preset[key] % 2 !== 0) {
+      throw new Error(`Video preset "${name}": ${key} must be a positive even integer.`);
+    }
+  }
+
+  if (!VIDEO_FIT_MODES.has(preset.fit)) {
+    throw new Error(`Video preset "${name}": fit must be one of ${[...VIDEO_FIT_MODES].join(', ')}.`);
+  }
+
+  if (preset.max_video_bitrate !== null && parseBitrate(preset.max_video_bitrate) === null) {
+    throw new Error(`Video preset "${name}": max_video_bitrate must look like "6M" or "4500k".`);
+  }
+
+  if (!/^[a-z0-9]+$/i.test(preset.container)) {
+    throw new Error(`Video preset "${name}": container must be a file extension like "mp4".`);
+  }
+
+  return preset;
+}
+
+function resolveVideoPreset(profileName, presetName, customPresets) {
+  if (presetName === undefined || presetName === null) {
+    return null;
+  }
+
+  const presets = { ...BUILTIN_VIDEO_PRESETS, ...customPresets };
+  if (!Object.hasOwn(presets, presetName)) {
+    throw new Error(
+      `Profile "${profileName}": unknown video_preset "${presetName}". Available: ${Object.keys(presets).join(', ')}.`,
+    );
+  }
+
+  return normalizeVideoPreset(presetName, presets[presetName]);
+}
+
+function normalizeImageOutput(profileName, raw) {
+  if (raw === undefined || raw === null) {
+    return null;
+  }
+
+  if (typeof raw !== 'object' || Array.isArray(raw)) {
+    throw new Error(`Profile "${profileName}": image_output must be an object.`);
+  }
+
+  const settings = { ...IMAGE_OUTPUT_DEFAULTS, ...raw };
+  if (!IMAGE_OUTPUT_FORMATS.has(settings.format)) {
+    throw new Error(
+      `Profile "${profileName}": image_output.format must be one of ${[...IMAGE_OUTPUT_FORMATS].join(', ')}.`,
+    );
+  }
+
+  if (settings.convert !== 'all') {
+    if (!Array.isArray(settings.convert)) {
+      throw new Error(`Profile "${profileName}": image_output.convert must be "all" or a list of extensions.`);
+    }
+    settings.convert = settings.convert.map((ext) => String(ext).replace(/^\./, '').toLowerCase());
+  }
+
+  if (!Number.isInteger(settings.quality) || settings.quality < 1 || settings.quality > 100) {
+    throw new Error(`Profile "${profileName}": image_output.quality must be an integer 1-100.`);
+  }
+
+  if (settings.max_edge !== null && (!Number.isInteger(settings.max_edge) || settings.max_edge < 16)) {
+    throw new Error(`Profile "${profileName}": image_output.max_edge must be an integer >= 16.`);
+  }
+
+  if (settings.aspect !== null) {
+    const match = /^(\d+):(\d+)$/.exec(String(settings.aspect));
+    if (!match || Number(match[1]) === 0 || Number(match[2]) === 0) {
+      throw new Error(`Profile "${profileName}": image_output.aspect must look like "4:5".`);
+    }
+    settings.aspect = { width: Number(match[1]), height: Number(match[2]) };
+  }
+
+  if (!VIDEO_FIT_MODES.has(settings.fit)) {
+    throw new Error(`Profile "${profileName}": image_output.fit must be one of ${[...VIDEO_FIT_MODES].join(', ')}.`);
+  }
+
+  return settings;
+}
+
+function normalizeVideoTrim(profileName, raw) {
+  if (raw !== undefined && raw !== null && (typeof raw !== 'object' || Array.isArray(raw))) {
+    throw new Error(`Profile "${profileName}": video_trim must be an object.`);
+  }
+
+  const settings = { ...VIDEO_TRIM_DEFAULTS, ...raw };
+  if (!VIDEO_TRIM_STRATEGIES.has(settings.strategy)) {
+    throw new Error(
+      `Profile "${profileName}": video_trim.strategy must be one of ${[...VIDEO_TRIM_STRATEGIES].join(', ')}.`,
+    );
+  }
+
+  for (const key of ['offset_seconds', 'scan_seconds', 'black_min_seconds', 'silence_min_seconds']) {
+    if (typeof settings[key] !== 'number' || !Number.isFinite(settings[key]) || settings[key] < 0) {
+      throw new Error(`Profile "${profileName}": video_trim.${key} must be a non-negative number.`);
+    }
+  }
+
+  if (!Array.isArray(settings.detect) || settings.detect.some((detector) => !INTRO_DETECTORS.has(detector))) {
+    throw new Error(
+      `Profile "${profileName}": video_trim.detect must be a list of ${[...INTRO_DETECTORS].join(', ')}.`,
+    );
+  }
+
+  return settings;
+}
+
+function normalizePlatform(name, raw) {
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+    throw new Error(`Platform "${name}" must be an object.`);
+  }
+
+  const platform = { name, max_caption_chars: null, max_hashtags: null, hashtag_placement: 'newline', ...raw };
+  for (const key of ['max_caption_chars', 'max_hashtags']) {
+    if (platform[key] !== null && (!Number.isInteger(platform[key]) || platform[key] < 0)) {
+      throw new Error(`Platform "${name}": ${key} must be a non-negative integer or null.`);
+    }
+  }
+  if (!HASHTAG_PLACEMENTS.has(platform.hashtag_placement)) {
+    throw new Error(
+      `Platform "${name}": unknown hashtag_placement "${platform.hashtag_placement}". Valid values: ${[...HASHTAG_PLACEMENTS].join(', ')}.`,
+    );
+  }
+  return platform;
+}
+
+async function loadPlatforms() {
+  let custom = {};
+  try {
+    custom = await readJsonFile(platformsPath);
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      throw new Error(`Failed to read ${platformsPath}. ${error.message}`);
+    }
+  }
+
+  if (!custom || typeof custom !== 'object' || Array.isArray(custom)) {
+    throw new Error('platforms.json must contain an object of platform name -> limits.');
+  }
+
+  const merged = { ...BUILTIN_PLATFORMS };
+  for (const [name, limits] of Object.entries(custom)) {
+    merged[name] = { ...BUILTIN_PLATFORMS[name], ...limits };
+  }
+  return Object.fromEntries(Object.entries(merged).map(([name, raw]) => [name, normalizePlatform(name, raw)]));
+}
+
+function normalizeHashtagRules(profileName, raw, platforms) {
+  if (raw !== undefined && raw !== null && (typeof raw !== 'object' || Array.isArray(raw))) {
+    throw new Error(`Profile "${profileName}": hashtag_rules must be an object.`);
+  }
+
+  const rules = { ...HASHTAG_RULE_DEFAULTS, ...raw };
+  for (const key of ['min', 'max', 'cooldown_jobs']) {
+    if (!Number.isInteger(rules[key]) || rules[key] < 0) {
+      throw new Error(`Profile "${profileName}": hashtag_rules.${key} must be a non-negative integer.`);
+    }
+  }
+  if (rules.min > rules.max) {
+    throw new Error(`Profile "${profileName}": hashtag_rules.min (${rules.min}) is greater than max (${rules.max}).`);
+  }
+
+  if (rules.platform !== null) {
+    if (!Object.hasOwn(platforms, rules.platform)) {
+      throw new Error(
+        `Profile "${profileName}": unknown platform "${rules.platform}". Available: ${Object.keys(platforms).join(', ')}.`,
+      );
+    }
+    rules.platform = platforms[rules.platform];
+  }
+  return rules;
+}
+
+function normalizeCaptionPlatforms(profileName, raw, platforms) {
+  if (raw === undefined || raw === null) return [];
+  if (!Array.isArray(raw)) {
+    throw new Error(`Profile "${profileName}": caption_platforms must be an array of platform names.`);
+  }
+
+  return [...new Set(raw)].map((platformName) => {
+    if (typeof platformName !== 'string' || !Object.hasOwn(platforms, platformName)) {
+      throw new Error(
+        `Profile "${profileName}": unknown caption platform "${platformName}". Available: ${Object.keys(platforms).join(', ')}.`,
+      );
+    }
+    return platforms[platformName];
+  });
+}
+
+function normalizeProfile(name, raw, customPresets, platforms) {
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+    throw new Error(`Profile "${name}" must be an object.`);
+  }
+
+  const minTotal = readProfileInt(name, raw, 'min_total', undefined);
+  if (minTotal === undefined || minTotal < 1) {
+    throw new Error(`Profile "${name}": min_total must be an integer >= 1.`);
+  }
+
+  const maxTotal = readProfileInt(name, raw, 'max_total', minTotal);
+  const profile = {
+    name,
+    min_total: minTotal,
+    max_total: maxTotal,
+    min_images: readProfileInt(name, raw, 'min_images', 0),
+    max_images: readProfileInt(name, raw, 'max_images', maxTotal),
+    min_videos: readProfileInt(name, raw, 'min_videos', 0),
+    max_videos: readProfileInt(name, raw, 'max_videos', maxTotal),
+    fallback: raw.fallback ?? [],
+    video_preset: resolveVideoPreset(name, raw.video_preset, customPresets),
+    image_output: normalizeImageOutput(name, raw.image_output),
+    video_trim: normalizeVideoTrim(name, raw.video_trim),
+    hashtag_rules: normalizeHashtagRules(name, raw.hashtag_rules, platforms),
+    caption_platforms: normalizeCaptionPlatforms(name, raw.caption_platforms, platforms),
+  };
+
+  for (const [minKey, maxKey] of [
+    ['min_total', 'max_total'],
+    ['min_images', 'max_images'],
+    ['min_videos', 'max_videos'],
+  ]) {
+    if (profile[minKey] > profile[maxKey]) {
+      throw new Error(`Profile "${name}": ${minKey} (${profile[minKey]}) is greater than ${maxKey} (${profile[maxKey]}).`);
+    }
+  }
+
+  if (!Array.isArray(profile.fallback)) {
+    throw new Error(`Profile "${name}": fallback must be an array.`);
+  }
+
+  for (const mode of profile.fallback) {
+    if (!FALLBACK_MODES.has(mode)) {
+      throw new Error(
+        `Profile "${name}": unknown fallback "${mode}". Valid values: ${[...FALLBACK_MODES].join(', ')}.`,
+      );
+    }
+  }
+
+  return profile;
+}
+
+async function loadProfile(requestedName) {
+  const platforms = await loadPlatforms();
+  let config = null;
+  try {
+    config = await readJsonFile(profilesPath);
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      throw new Error(`Failed to read ${profilesPath}. ${error.message}`);
+    }
+  }
+
+  if (!config) {
+    const name = requestedName || DEFAULT_PROFILE_NAME;
+    if (name !== DEFAULT_PROFILE_NAME) {
+      throw new Error(`Profile "${name}" not found: ${profilesPath} does not exist.`);
+    }
+    return normalizeProfile(name, DEFAULT_PROFILE, {}, platforms);
+  }
+
+  if (typeof config !== 'object' || Array.isArray(config) || !config.profiles || typeof config.profiles !== 'object') {
+    throw new Error('profiles.json must contain an object with a "profiles" map.');
+  }
+
+  const name = requestedName || config.default_profile || DEFAULT_PROFILE_NAME;
+  if (!Object.hasOwn(config.profiles, name)) {
+    if (name === DEFAULT_PROFILE_NAME) {
+      return normalizeProfile(name, DEFAULT_PROFILE, {}, platforms);
+    }
+    const available = Object.keys(config.profiles).join(', ') || '-';
+    throw new Error(`Profile "${name}" not found in profiles.json. Available: ${available}.`);
+  }
+
+  const customPresets = config.video_presets ?? {};
+  if (typeof customPresets !== 'object' || Array.isArray(customPresets)) {
+    throw new Error('profiles.json: video_presets must be an object.');
+  }
+
+  return normalizeProfile(name, config.profiles[name], customPresets, platforms);
+}
+
+function runProcess(command, args, { binaryOutput = false, stderrOutput = false, env = null, cwd = undefined } = {}) {
+  return new Promise((resolve, reject) => {
+    const child = spawn(command, args, {
+      cwd,
+      stdio: ['ignore', 'pipe', 'pipe'],
+      env: env ? { ...process.env, ...env } : process.env,
+    });
+    activeChildren.add(child);
+    child.on('close', () => activeChildren.delete(child));
+
+    const stdoutChunks = [];
+    child.stdout.on('data', (chunk) => {
+      stdoutChunks.push(chunk);
+    });
+
+    let stderr = '';
+    child.stderr.setEncoding('utf8');
+    child.stderr.on('data', (chunk) => {
+      stderr += chunk;
+    });
+
+    child.on('error', (error) => {
+      if (lockLost) return;
+      reject(error);
+    });
+
+    child.on('close', (code) => {
+      // Killed by abortOnLostLock: never settle, so no rollback races the new lock owner.
+      if (lockLost) return;
+      if (code === 0) {
+        if (stderrOutput) {
+          resolve(stderr);
+          return;
+        }
+        const stdout = Buffer.concat(stdoutChunks);
+        resolve(binaryOutput ? stdout : stdout.toString('utf8'));
+        return;
+      }
+
+      const message = stderr.trim()
+        ? `${command} exited with code ${code}: ${stderr.trim()}`
+        : `${command} exited with code ${code}.`;
+      reject(new Error(message));
+    });
+  });
+}
+
+function pickRandomItems(items, count) {
+  if (count <= 0) return [];
+  if (count > items.length) {
+    throw new Error(`Cannot pick ${count} items from ${items.length} items.`);
+  }
+
+  const pool = [...items];
+  const selected = [];
+  for (let i = 0; i < count; i += 1) {
+    const idx = Math.floor(Math.random() * pool.length);
+    selected.push(pool[idx]);
+    pool.splice(idx, 1);
+  }
+  return selected;
+}
+
+async function ensureDirectories() {
+  await fs.mkdir(sourceImageDir, { recursive: true });
+  await fs.mkdir(sourceVideoDir, { recursive: true });
+  await fs.mkdir(outputJobsDir, { recursive: true });
+  await fs.mkdir(dataDir, { recursive: true });
+}
+
+async function isProcessAlive(pid) {
+  if (!Number.isInteger(pid) || pid <= 0) return false;
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (error) {
+    if (error.code === 'ESRCH') return false;
+    if (error.code === 'EPERM') return true;
+    throw error;
+  }
+}
+
+// The lock file is one JSON object. Identity is hostname + pid + kernel start ticks (+ boot id),
+// so a reused pid or a reboot reads as stale; a holder on another host is judged only by its
+// heartbeat. Writes go through temp files so readers never see a half-written lock.
+function newLockRecord(identity) {
+  const now = new Date().toISOString();
+  return {
+    token: randomUUID(),
+    hostname: os.hostname(),
+    pid: process.pid,
+    process_started_at: new Date(Date.now() - process.uptime() * 1000).toISOString(),
+    ...identity,
+    command: process.argv.slice(2).join(' ') || 'run',
+    acquired_at: now,
+    heartbeat_at: now,
+  };
+}
+
+async function readProcessStartTicks(pid) {
+  try {
+    const stat = await fs.readFile(`/proc/${pid}/stat`, 'utf8');
+    // The command name may contain spaces, so count fields from the closing paren (field 22 = starttime).
+    return stat.slice(stat.lastIndexOf(')') + 2).split(' ')[19] ?? null;
+  } catch {
+    return null;
+  }
+}
+
+async function readBootId() {
+  try {
+    return (await fs.readFile('/proc/sys/kernel/random/boot_id', 'utf8')).trim();
+  } catch {
+    return null;
+  }
+}
+
+async function readLockFile() {
+  let content;
+  let stat;
+  try {
+    [content, stat] = await Promise.all([fs.readFile(lockFilePath, 'utf8'), fs.stat(lockFilePath)]);
+  } catch (error) {
+    if (error.code === 'ENOENT') return null;
+    throw error;
+  }
+
+  try {
+    const lock = JSON.parse(content);
+    if (lock && typeof lock === 'object' && !Array.isArray(lock)) return { lock, mtimeMs: stat.mtimeMs };
+  } catch {
+    // Older versions wrote "pid\nISO timestamp"; anything else is garbage.
+  }
+  const [pidLine, startedAt] = content.split(/\r?\n/);
+  const pid = Number(pidLine?.trim());
+  if (!Number.isInteger(pid) || pid <= 0) return { lock: null, mtimeMs: stat.mtimeMs };
+  return {
+    lock: { token: null, hostname: os.hostname(), pid, acquired_at: startedAt?.trim() || null, heartbeat_at: null, legacy: true },
+    mtimeMs: stat.mtimeMs,
+  };
+}
+
+async function describeLockHolder(entry, now = Date.now()) {
+  const { lock, mtimeMs } = entry;
+  if (!lock) {
+    // Give a writer on a filesystem without hard links a moment to finish the file.
+    return now - mtimeMs < LOCK_UNREADABLE_GRACE_MS
+      ? { state: 'held', detail: 'lock file is being written' }
+      : { state: 'stale', detail: 'lock file is unreadable' };
+  }
+
+  const heartbeatAt = Date.parse(lock.heartbeat_at);
+  if (lockTimeoutSeconds > 0 && Number.isFinite(heartbeatAt) && now - heartbeatAt > lockTimeoutSeconds * 1000) {
+    return { state: 'stale', detail: `no heartbeat since ${lock.heartbeat_at} (timeout ${lockTimeoutSeconds}s)` };
+  }
+  if (lock.hostname !== os.hostname()) {
+    return { state: 'held', detail: `held on host ${lock.hostname}, heartbeat ${lock.heartbeat_at}` };
+  }
+  if (lock.boot_id && lock.boot_id !== (await readBootId())) {
+    return { state: 'stale', detail: 'host rebooted since the lock was taken' };
+  }
+  if (!(await isProcessAlive(lock.pid))) {
+    return { state: 'stale', detail: `pid ${lock.pid} is not running` };
+  }
+  if (lock.process_start_ticks && lock.process_start_ticks !== (await readProcessStartTicks(lock.pid))) {
+    return { state: 'stale', detail: `pid ${lock.pid} now belongs to another process` };
+  }
+  return { state: 'held', detail: `held by pid ${lock.pid} since ${lock.acquired_at ?? 'unknown'}` };
+}
+
+async function createLockFile(lock) {
+  const content = `${JSON.stringify(lock, null, 2)}\n`;
+  const tempPath = `${lockFilePath}.${lock.token}.tmp`;
+  await fs.writeFile(tempPath, content, { encoding: 'utf8', mode: 0o644 });
+  try {
+    // link() fails with EEXIST instead of replacing, so exactly one creator wins.
+    await fs.link(tempPath, lockFilePath);
+    return true;
+  } catch (error) {
+    if (error.code === 'EEXIST') return false;
+    if (!['EPERM', 'ENOTSUP', 'EOPNOTSUPP', 'ENOSYS'].includes(error.code)) throw error;
+  } finally {
+    await fs.rm(tempPath, { force: true });
+  }
+
+  try {
+    await fs.writeFile(lockFilePath, content, { encoding: 'utf8', mode: 0o644, flag: 'wx' });
+    return true;
+  } catch (error) {
+    if (error.code === 'EEXIST') return false;
+    throw error;
+  }
+}
+
+// Only one process at a time may replace a stale lock: the takeover guard is itself created
+// exclusively, and the stale lock is re-read under it so a fresh lock is never removed.
+async function replaceStaleLock(staleEntry, replacement) {
+  const guardPath = `${lockFilePath}.takeover`;
+  const guard = { pid: process.pid, created_at: new Date().toISOString() };
+  try {
+    await fs.writeFile(guardPath, JSON.stringify(guard), { flag: 'wx' });
+  } catch (error) {
+    if (error.code !== 'EEXIST') throw error;
+    // A guard older than the grace period was left behind by a takeover that crashed.
+    const guardStat = await fs.stat(guardPath).catch(() => null);
+    if (guardStat && Date.now() - guardStat.mtimeMs > LOCK_TAKEOVER_GUARD_MS) {
+      await fs.rm(guardPath, { force: true });
+    }
+    return false;
+  }
+
+  try {
+    const current = await readLockFile();
+    if (current && (current.lock?.token ?? null) !== (staleEntry.lock?.token ?? null)) return false;
+    if (current && current.mtimeMs !== staleEntry.mtimeMs) return false;
+    await fs.rm(lockFilePath, { force: true });
+    return replacement ? await createLockFile(replacement) : true;
+  } finally {
+    await fs.rm(guardPath, { force: true });
+  }
+}
+
+function startHeartbeat() {
+  const intervalSeconds = lockTimeoutSeconds > 0 ? Math.min(60, Math.max(1, Math.floor(lockTimeoutSeconds / 4))) : 60;
+  heartbeatTimer = setInterval(() => {
+    refreshHeartbeat().catch((error) => log(`Warning: failed to refresh run lock heartbeat. ${error.message}`));
+  }, intervalSeconds * 1000);
+  heartbeatTimer.unref();
+}
+
+// Another process owns the lock now, so anything this run still writes could clobber its job.
+// Exit at once; the staging journal lets the next run put already-moved media back.
+function stopChild(child) {
+  if (child.exitCode !== null || child.signalCode !== null) return Promise.resolve();
+  return new Promise((resolve) => {
+    const killTimer = setTimeout(() => child.kill('SIGKILL'), CHILD_KILL_GRACE_MS);
+    // 'exit', not 'close': a grandchild holding the pipes open must not delay the abort.
+    child.once('exit', () => {
+      clearTimeout(killTimer);
+      resolve();
+    });
+    child.kill('SIGTERM');
+  });
+}
+
+async function abortOnLostLock() {
+  lockLost = true;
+  clearInterval(heartbeatTimer);
+  heldLock = null;
+  log('Run lock was taken over by another process while this run was stalled; stopping.');
+  // An ffmpeg still writing into staging would race the new owner's staging recovery.
+  await Promise.all([...activeChildren].map(stopChild));
+  emitResult({ status: 'error', reason: 'lock_lost' });
+  process.exit(1);
+}
+
+async function refreshHeartbeat() {
+  if (!heldLock) return;
+  const token = heldLock.token;
+  const current = await readLockFile();
+  if (!heldLock) return;
+  if (current?.lock?.token !== token) {
+    await abortOnLostLock();
+    return;
+  }
+
+  const next = { ...heldLock, heartbeat_at: new Date().toISOString() };
+  const tempPath = `${lockFilePath}.${token}.tmp`;
+  await fs.writeFile(tempPath, `${JSON.stringify(next, null, 2)}\n`, 'utf8');
+  // Re-check right before the rename: a takeover may have landed while the temp file was written.
+  // rename() cannot be made conditional, so a takeover in the few microseconds between this read
+  // and the rename can still be overwritten. That case heals itself: the new owner's next
+  // heartbeat sees a foreign token and stops its run, so only one of the two keeps going.
+  const latest = await readLockFile();
+  if (heldLock?.token !== token) {
+    await fs.rm(tempPath, { force: true });
+    return;
+  }
+  if (latest?.lock?.token !== token) {
+    await fs.rm(tempPath, { force: true });
+    await abortOnLostLock();
+    return;
+  }
+  await fs.rename(tempPath, lockFilePath);
+  heldLock = next;
+}
+
+async function acquireLock() {
+  const lock = newLockRecord({ process_start_ticks: await readProcessStartTicks(process.pid), boot_id: await readBootId() });
+
+  let acquired = await createLockFile(lock);
+  if (!acquired) {
+    const existing = await readLockFile();
+    if (existing) {
+      const holder = await describeLockHolder(existing);
+      if (holder.state === 'held') return false;
+      acquired = await replaceStaleLock(existing, lock);
+      if (acquired) log(`Took over stale run lock: ${holder.detail}.`);
+    } else {
+      acquired = await createLockFile(lock);
+    }
+  }
+  if (!acquired) return false;
+
+  heldLock = lock;
+  startHeartbeat();
+  return true;
+}
+
+async function releaseLock() {
+  clearInterval(heartbeatTimer);
+  if (!heldLock) return;
+  const token = heldLock.token;
+  heldLock = null;
+  // Never remove a lock that someone else took over while this run was stalled.
+  const current = await readLockFile();
+  if (current?.lock?.token === token) {
+    await fs.rm(lockFilePath, { force: true });
+  }
+}
+
+async function inspectLock() {
+  const entry = await readLockFile();
+  if (!entry) return { state: 'free', lock: null, detail: 'No lock held.' };
+  const holder = await describeLockHolder(entry);
+  return { ...holder, lock: entry.lock };
+}
+
+async function runLockCommand(subcommand, force) {
+  const inspected = await inspectLock();
+  const lockName = activeChannel ? `run lock for channel ${activeChannel.name}` : 'run lock';
+
+  if (subcommand === 'status') {
+    if (jsonOutput) {
+      return { status: 'success', reason: null, state: inspected.state, detail: inspected.detail, lock: inspected.lock, timeout_seconds: lockTimeoutSeconds };
+    }
+    console.log(`Lock: ${lockFilePath}`);
+    console.log(`State: ${inspected.state} (${inspected.detail})`);
+    if (inspected.lock) {
+      const { hostname, pid, process_started_at: startedAt, command, acquired_at: acquiredAt, heartbeat_at: heartbeatAt } = inspected.lock;
+      console.log(`Holder: ${hostname} pid ${pid}${startedAt ? `, process started ${startedAt}` : ''}${command ? `, command "${command}"` : ''}`);
+      console.log(`Acquired: ${acquiredAt ?? 'unknown'}, heartbeat: ${heartbeatAt ?? 'none'}`);
+    }
+    console.log(`Timeout: ${lockTimeoutSeconds > 0 ? `${lockTimeoutSeconds}s` : 'off'} (AUTO_PREVIEW_LOCK_TIMEOUT_SECONDS)`);
+    return null;
+  }
+
+  if (subcommand === 'break') {
+    if (inspected.state === 'free') {
+      log(`No ${lockName} to break.`);
+      return { status: 'skip', reason: 'not_locked' };
+    }
+    if (inspected.state === 'held' && !force) {
+      throw new Error(`The ${lockName} is still active (${inspected.detail}). Use "lock break --force" only if that run is really gone.`);
+    }
+    const entry = await readLockFile();
+    if (!entry || !(await replaceStaleLock(entry, null))) {
+      throw new Error(`The ${lockName} changed while breaking it; check "lock status" and try again.`);
+    }
+    log(`Broke ${lockName}: ${inspected.detail}.`);
+    return { status: 'success', reason: null, previous: inspected.lock };
+  }
+
+  throw new Error(`Usage: run_job.mjs lock <status|break> [--force]. Received: "${subcommand ?? ''}".`);
+}
+
+async function readJsonFile(filePath) {
+  const content = await fs.readFile(filePath, 'utf8');
+  return JSON.parse(content);
+}
+
+// Temp file + fsync + rename: readers see the old file or the new one, never a truncated mix.
+async function writeJsonFile(filePath, value) {
+  const content = JSON.stringify(value, null, 2);
+  const tempPath = `${filePath}.${process.pid}.tmp`;
+  const handle = await fs.open(tempPath, 'w', 0o644);
+  try {
+    await handle.writeFile(`${content}\n`, 'utf8');
+    await handle.sync();
+  } finally {
+    await handle.close();
+  }
+  await fs.rename(tempPath, filePath);
+}
+
+// Short exclusive lock around every read-modify-write of captions.json/hashtags.json.
+// bank_wizard.mjs takes the same data/.bank.lock (keep withBankLock in sync there).
+async function withBankLock(callback) {
+  const lockPath = path.join(dataDir, '.bank.lock');
+  const deadline = Date.now() + BANK_LOCK_WAIT_MS;
+  while (true) {
+    try {
+      await fs.writeFile(lockPath, JSON.stringify({ hostname: os.hostname(), pid: process.pid, acquired_at: new Date().toISOString() }), {
+        flag: 'wx',
+      });
+      break;
+    } catch (error) {
+      if (error.code !== 'EEXIST') throw error;
+    }
+    if (await isBankLockStale(lockPath)) {
+      await fs.rm(lockPath, { force: true });
+      continue;
+    }
+    if (Date.now() > deadline) {
+      throw new Error(`Bank files are locked by another process (${lockPath}). Try again shortly.`);
+    }
+    await new Promise((resolve) => setTimeout(resolve, 100));
+  }
+
+  try {
+    return await callback();
+  } finally {
+    await fs.rm(lockPath, { force: true });
+  }
+}
+
+async function isBankLockStale(lockPath) {
+  try {
+    const [content, stat] = await Promise.all([fs.readFile(lockPath, 'utf8'), fs.stat(lockPath)]);
+    // Bank edits take milliseconds, so an old lock belongs to a process that crashed.
+    if (Date.now() - stat.mtimeMs > BANK_LOCK_STALE_MS) return true;
+    const holder = JSON.parse(content);
+    return holder.hostname === os.hostname() && !(await isProcessAlive(holder.pid));
+  } catch {
+    return false;
+  }
+}
+
+async function collectFilesRecursive(root, extensionSet) {
+  if (!existsSync(root)) return [];
+
+  const results = [];
+  const queue = [root];
+
+  while (queue.length > 0) {
+    const current = queue.shift();
+    const entries = await fs.readdir(current, { withFileTypes: true });
+
+    for (const entry of entries) {
+      const fullPath = path.join(current, entry.name);
+      if (entry.isDirectory()) {
+        queue.push(fullPath);
+        continue;
+      }
+
+      if (!entry.isFile()) {
+        continue;
+      }
+
+      const ext = path.extname(entry.name).toLowerCase();
+      if (extensionSet.has(ext)) {
+        results.push(fullPath);
+      }
+    }
+  }
+
+  results.sort((a, b) => a.localeCompare(b));
+  return results;
+}
+
+// Raw file counts for skip/error results, so n8n sees the stock even when no plan was made.
+// Null when the source folders cannot be read, e.g. the very error being reported.
+async function countSourceStock() {
+  try {
+    const [images, videos] = await Promise.all([
+      collectFilesRecursive(sourceImageDir, IMAGE_EXTENSIONS),
+      collectFilesRecursive(sourceVideoDir, VIDEO_EXTENSIONS),
+    ]);
+    return { images: images.length, videos: videos.length };
+  } catch {
+    return null;
+  }
+}
+
+function hashFileSha256(filePath) {
+  return new Promise((resolve, reject) => {
+    const hash = createHash('sha256');
+    const stream = createReadStream(filePath);
+    stream.on('error', reject);
+    stream.on('data', (chunk) => hash.update(chunk));
+    stream.on('end', () => resolve(hash.digest('hex')));
+  });
+}
+
+// 64-bit difference hash from a 9x8 grayscale thumbnail decoded by ffmpeg.
+async function perceptualHashImage(filePath) {
+  try {
+    const pixels = await runProcess(
+      'ffmpeg',
+      [
+        '-hide_banner',
+        '-loglevel',
+        'error',
+        '-i',
+        filePath,
+        '-vf',
+        'scale=9:8:flags=area,format=gray',
+        '-frames:v',
+        '1',
+        '-f',
+        'rawvideo',
+        '-',
+      ],
+      { binaryOutput: true },
+    );
+    if (pixels.length < 72) return null;
+
+    let bits = 0n;
+    for (let row = 0; row < 8; row += 1) {
+      for (let col = 0; col < 8; col += 1) {
+        const left = pixels[row * 9 + col];
+        const right = pixels[row * 9 + col + 1];
+        bits = (bits << 1n) | (left > right ? 1n : 0n);
+      }
+    }
+    return bits.toString(16).padStart(16, '0');
+  } catch {
+    return null;
+  }
+}
+
+function hammingDistance(hexA, hexB) {
+  let diff = BigInt(`0x${hexA}`) ^ BigInt(`0x${hexB}`);
+  let count = 0;
+  while (diff > 0n) {
+    count += Number(diff & 1n);
+    diff >>= 1n;
+  }
+  return count;
+}
+
+async function loadMediaIndex() {
+  try {
+    const index = await readJsonFile(mediaIndexPath);
+    if (index && typeof index.files === 'object' && !Array.isArray(index.files)) {
+      return index;
+    }
+  } catch {
+    // The index is only a cache; start over if it is missing or damaged.
+  }
+  return { version: 1, files: {} };
+}
+
+// Hashes new or changed files (by size + mtime) and drops entries for files that are gone.
+async function refreshMediaIndex(index, filePaths) {
+  const nextFiles = {};
+  for (const filePath of filePaths) {
+    const key = path.relative(rootDir, filePath);
+    const stat = await fs.stat(filePath);
+    const cached = index.files[key];
+    const isImage = IMAGE_EXTENSIONS.has(path.extname(filePath).toLowerCase());
+    const unchanged = cached && cached.size === stat.size && cached.mtime_ms === stat.mtimeMs;
+
+    const entry = unchanged
+      ? { ...cached }
+      : { size: stat.size, mtime_ms: stat.mtimeMs, sha256: await hashFileSha256(filePath), phash: null };
+    if (perceptualHashEnabled && isImage && !entry.phash) {
+      entry.phash = await perceptualHashImage(filePath);
+    }
+    nextFiles[key] = entry;
+  }
+
+  return { version: 1, files: nextFiles };
+}
+
+function indexEntryFor(index, filePath) {
+  return index.files[path.relative(rootDir, filePath)] ?? null;
+}
+
+// Manifests of the newest `limit` jobs, newest first. Job folder names sort chronologically.
+async function readRecentManifests(limit) {
+  if (limit <= 0 || !existsSync(outputJobsDir)) return [];
+
+  const entries = await fs.readdir(outputJobsDir, { withFileTypes: true });
+  const recentJobs = entries
+    .filter((entry) => entry.isDirectory() && entry.name.startsWith('job_'))
+    .map((entry) => entry.name)
+    .sort((a, b) => b.localeCompare(a))
+    .slice(0, limit);
+
+  const manifests = [];
+  for (const jobName of recentJobs) {
+    try {
+      manifests.push(await readJsonFile(path.join(outputJobsDir, jobName, 'manifest.json')));
+    } catch {
+      // Jobs from before manifests existed simply don't take part in dedupe or cooldowns.
+    }
+  }
+  return manifests;
+}
+
+function collectManifestHashes(manifests) {
+  const hashes = new Set();
+  for (const manifest of manifests) {
+    for (const entry of manifest.media ?? []) {
+      if (entry.sha256) hashes.add(entry.sha256);
+    }
+  }
+  return hashes;
+}
+
+// tag -> how many jobs ago it was last used (0 = the newest job).
+function collectHashtagUsage(manifests) {
+  const usage = new Map();
+  manifests.forEach((manifest, jobsAgo) => {
+    for (const tag of manifest.hashtags ?? []) {
+      if (!usage.has(tag)) usage.set(tag, jobsAgo);
+    }
+  });
+  return usage;
+}
+
+// One group per distinct content; files matching a recent job are left out entirely.
+function groupUniqueMedia(filePaths, index, excludedHashes) {
+  const groups = new Map();
+  for (const filePath of filePaths) {
+    const hash = indexEntryFor(index, filePath)?.sha256 ?? filePath;
+    if (excludedHashes.has(hash)) continue;
+    if (!groups.has(hash)) groups.set(hash, []);
+    groups.get(hash).push(filePath);
+  }
+  return [...groups.values()];
+}
+
+function pickFromGroups(groups, count) {
+  return pickRandomItems(groups, count).map((group) => group[Math.floor(Math.random() * group.length)]);
+}
+
+function chooseComposition(imageCount, videoCount, profile) {
+  const mixedByTotal = new Map();
+  for (let total = profile.min_total; total <= profile.max_total; total += 1) {
+    for (let images = profile.min_images; images <= profile.max_images; images += 1) {
+      const videos = total - images;
+      if (videos < profile.min_videos || videos > profile.max_videos) continue;
+      if (images > imageCount || videos > videoCount) continue;
+
+      if (!mixedByTotal.has(total)) mixedByTotal.set(total, []);
+      mixedByTotal.get(total).push({ images, videos });
+    }
+  }
+
+  if (mixedByTotal.size > 0) {
+    const totals = [...mixedByTotal.keys()];
+    const candidates = mixedByTotal.get(totals[Math.floor(Math.random() * totals.length)]);
+    return candidates[Math.floor(Math.random() * candidates.length)];
+  }
+
+  // Fallback modes ignore per-type limits and only honour the total range.
+  for (const mode of profile.fallback) {
+    const available = mode === 'images_only' ? imageCount : videoCount;
+    if (available < profile.min_total) continue;
+
+    const total = randomIntInclusive(profile.min_total, Math.min(profile.max_total, available));
+    return mode === 'images_only' ? { images: total, videos: 0 } : { images: 0, videos: total };
+  }
+
+  return null;
+}
+
+// Picks the smallest or largest job chooseComposition could build, split as close to the
+// stock's own image/video ratio as the profile allows.
+function boundComposition(imageCount, videoCount, profile, size) {
+  const stockRatio = imageCount / Math.max(1, imageCount + videoCount);
+  let best = null;
+  for (let total = profile.min_total; total <= profile.max_total; total += 1) {
+    for (let images = profile.min_images; images <= profile.max_images; images += 1) {
+      const videos = total - images;
+      if (videos < profile.min_videos || videos > profile.max_videos) continue;
+      if (images > imageCount || videos > videoCount) continue;
+
+      const candidate = { images, videos, skew: Math.abs(images / total - stockRatio) };
+      const better =
+        !best ||
+        (size === 'smallest' ? total < best.images + best.videos : total > best.images + best.videos) ||
+        (total === best.images + best.videos && candidate.skew < best.skew);
+      if (better) best = candidate;
+    }
+  }
+  if (best) return { images: best.images, videos: best.videos };
+
+  for (const mode of profile.fallback) {
+    const available = mode === 'images_only' ? imageCount : videoCount;
+    if (available < profile.min_total) continue;
+    const total = size === 'smallest' ? profile.min_total : Math.min(profile.max_total, available);
+    return mode === 'images_only' ? { images: total, videos: 0 } : { images: 0, videos: total };
+  }
+  return null;
+}
+
+function forecastJobsRemaining(imageCount, videoCount, profile, size) {
+  let images = imageCount;
+  let videos = videoCount;
+  let jobs = 0;
+  for (let composition = boundComposition(images, videos, profile, size); composition; jobs += 1) {
+    images -= composition.images;
+    videos -= composition.videos;
+    composition = boundComposition(images, videos, profile, size);
+  }
+  return jobs;
+}
+
+async function loadCaptionVariables() {
+  let raw;
+  try {
+    raw = await readJsonFile(captionVarsPath);
+  } catch (error) {
+    if (error.code === 'ENOENT') return {};
+    throw new Error(`Failed to read ${captionVarsPath}. ${error.message}`);
+  }
+
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+    throw new Error('caption_vars.json must contain an object of name -> text.');
+  }
+
+  for (const [name, value] of Object.entries(raw)) {
+    if (!TEMPLATE_VARIABLE_NAME.test(name)) {
+      throw new Error(`caption_vars.json: "${name}" is not a valid variable name (letters, digits, underscore).`);
+    }
+    if (BUILTIN_TEMPLATE_VARIABLES.includes(name)) {
+      throw new Error(`caption_vars.json: "${name}" is a built-in variable and cannot be overridden.`);
+    }
+    if (typeof value !== 'string' && typeof value !== 'number') {
+      throw new Error(`caption_vars.json: value of "${name}" must be text or a number.`);
+    }
+  }
+
+  return raw;
+}
+
+function findTemplateProblems(text, knownVariables) {
+  const problems = [];
+  let depth = 0;
+  for (const char of text) {
+    if (char === '{') depth += 1;
+    if (char === '}') depth -= 1;
+    if (depth < 0) break;
+  }
+  if (depth !== 0) {
+    problems.push('unbalanced { }');
+  }
+
+  for (const match of text.matchAll(TEMPLATE_VARIABLE_PATTERN)) {
+    if (!knownVariables.has(match[1])) {
+      problems.push(`unknown variable {${match[1]}}`);
+    }
+  }
+  return problems;
+}
+
+// Resolves innermost {...} groups first: "a|b" picks one option, a known name becomes
+// its value, anything else is kept literally.
+function renderCaptionTemplate(text, variables) {
+  const literals = [];
+  let current = text;
+  let changed = true;
+  while (changed) {
+    changed = false;
+    current = current.replace(/\{([^{}]*)\}/g, (match, body) => {
+      changed = true;
+      if (body.includes('|')) {
+        const options = body.split('|');
+        return options[Math.floor(Math.random() * options.length)];
+      }
+      if (Object.hasOwn(variables, body.trim())) {
+        return String(variables[body.trim()]);
+      }
+      literals.push(match);
+      return `\u0000${literals.length - 1}\u0000`;
+    });
+  }
+
+  while (current.includes('\u0000')) {
+    current = current.replace(/\u0000(\d+)\u0000/g, (_, index) => literals[Number(index)]);
+  }
+  return current.replace(/[ \t]{2,}/g, ' ').trim();
+}
+
+function buildTemplateVariables(plan, jobDir, now = new Date()) {
+  const dateFormat = (options) => new Intl.DateTimeFormat('id-ID', { timeZone, ...options }).format(now);
+  return {
+    ...plan.captionVariables,
+    date_wib: dateFormat({ day: 'numeric', month: 'long', year: 'numeric' }),
+    day_name: dateFormat({ weekday: 'long' }),
+    image_count: plan.composition.images,
+    video_count: plan.composition.videos,
+    job_name: path.basename(jobDir),
+  };
+}
+
+function normalizeCaptionEntries(raw) {
+  if (!Array.isArray(raw)) {
+    throw new Error('captions.json must contain an array.');
+  }
+
+  const captions = raw.map((entry, index) => {
+    if (typeof entry === 'string') {
+      return {
+        id: index + 1,
+        text: entry.trim(),
+        categories: [],
+        weight: 1,
+        used: false,
+        used_at: null,
+      };
+    }
+
+    if (!entry || typeof entry !== 'object') {
+      throw new Error(`Invalid caption entry at index ${index}.`);
+    }
+
+    const textCandidate =
+      typeof entry.text === 'string'
+        ? entry.text
+        : typeof entry.caption === 'string'
+          ? entry.caption
+          : '';
+
+    const text = textCandidate.trim();
+    if (!text) {
+      throw new Error(`Caption entry at index ${index} does not contain text.`);
+    }
+
+    return {
+      id: entry.id ?? index + 1,
+      text,
+      categories: normalizeCategories(entry.categories, `Caption entry at index ${index}`),
+      weight: normalizeWeight(entry.weight, `Caption entry at index ${index}`),
+      used: Boolean(entry.used),
+      used_at: entry.used_at ?? null,
+    };
+  });
+
+  return captions;
+}
+
+// bank_wizard rejects broken templates when they are added, but a caption_vars.json edit can
+// still orphan a variable later. One bad entry must not stop every run, so it is only skipped.
+function splitCaptionTemplates(captions, knownVariables) {
+  const valid = [];
+  const invalid = [];
+  for (const entry of captions) {
+    const problems = findTemplateProblems(entry.text, knownVariables);
+    if (problems.length > 0) invalid.push({ id: entry.id, problems });
+    else valid.push(entry);
+  }
+  return { valid, invalid };
+}
+
+function normalizeCategories(raw, label) {
+  if (raw === undefined || raw === null) return [];
+  if (!Array.isArray(raw)) {
+    throw new Error(`${label}: categories must be an array of names.`);
+  }
+  return [...new Set(raw.map((category) => String(category).trim().toLowerCase()).filter(Boolean))];
+}
+
+function normalizeWeight(raw, label) {
+  if (raw === undefined || raw === null) return 1;
+  if (typeof raw !== 'number' || !Number.isFinite(raw) || raw <= 0) {
+    throw new Error(`${label}: weight must be a positive number.`);
+  }
+  return raw;
+}
+
+// Category of a picked file = its first subfolder under source_media/images|videos.
+function mediaCategories(media) {
+  const categories = media
+    .map((item) => {
+      const sourceRoot = item.type === 'video' ? sourceVideoDir : sourceImageDir;
+      const segments = path.relative(sourceRoot, item.sourcePath).split(path.sep);
+      return segments.length > 1 ? segments[0].toLowerCase() : null;
+    })
+    .filter(Boolean);
+  return [...new Set(categories)];
+}
+
+// Bank entries for the job's categories first, then uncategorised ones. Entries that only
+// belong to other categories are left out, unless nothing else exists at all.
+function categoryTiers(entries, jobCategories) {
+  const tiers = [
+    entries.filter((entry) => entry.categories.some((category) => jobCategories.includes(category))),
+    entries.filter((entry) => entry.categories.length === 0),
+  ].filter((tier) => tier.length > 0);
+  return tiers.length > 0 ? tiers : [entries];
+}
+
+function weightedPick(entries) {
+  const total = entries.reduce((sum, entry) => sum + entry.weight, 0);
+  let threshold = Math.random() * total;
+  for (const entry of entries) {
+    threshold -= entry.weight;
+    if (threshold < 0) return entry;
+  }
+  return entries[entries.length - 1];
+}
+
+function weightedShuffle(entries) {
+  return entries
+    .map((entry) => ({ entry, key: Math.random() ** (1 / entry.weight) }))
+    .sort((a, b) => b.key - a.key)
+    .map(({ entry }) => entry);
+}
+
+// Defaults stay implicit on disk so plain banks keep their original shape.
+function serializeCaptions(captions) {
+  return captions.map(({ categories, weight, ...entry }) => ({
+    ...entry,
+    ...(categories.length > 0 ? { categories } : {}),
+    ...(weight !== 1 ? { weight } : {}),
+  }));
+}
+
+function pickCaption(captions, jobCategories = []) {
+  const state = captions.map((entry) => ({ ...entry }));
+  if (state.length === 0) {
+    throw new Error('No caption entries available in captions.json.');
+  }
+
+  const tiers = categoryTiers(state, jobCategories);
+  let candidates = tiers.map((tier) => tier.filter((entry) => !entry.used)).find((tier) => tier.length > 0);
+  if (!candidates) {
+    // Every eligible caption is used: recycle just those, other categories keep their state.
+    for (const entry of tiers.flat()) {
+      entry.used = false;
+      entry.used_at = null;
+    }
+    candidates = tiers[0];
+  }
+
+  const selected = weightedPick(candidates);
+  selected.used = true;
+  selected.used_at = new Date().toISOString();
+
+  return {
+    captionId: selected.id,
+    captionText: selected.text,
+    nextCaptions: state,
+  };
+}
+
+// Usage changes keyed by caption text: the wizard renumbers ids, and the bank may be edited
+// while the job is being built, so the write re-applies these onto the current file.
+function diffCaptionUsage(before, after) {
+  return after
+    .map((entry, index) => ({ entry, previous: before[index] }))
+    .filter(({ entry, previous }) => entry.used !== previous.used || entry.used_at !== previous.used_at)
+    .map(({ entry, previous }) => ({
+      text: entry.text,
+      before: { used: previous.used, used_at: previous.used_at },
+      after: { used: entry.used, used_at: entry.used_at },
+    }));
+}
+
+// Usage marks skip bank_wizard's data/backups/ rotation on purpose: one per run would push
+// the edits worth restoring out of the rotation.
+async function applyCaptionUsage(changes, side) {
+  await withBankLock(async () => {
+    const captions = normalizeCaptionEntries(await readJsonFile(captionsPath));
+    for (const change of changes) {
+      const entry = captions.find((candidate) => candidate.text === change.text);
+      // Removed by a concurrent bank edit: nothing left to mark.
+      if (entry) Object.assign(entry, change[side]);
+    }
+    await writeJsonFile(captionsPath, serializeCaptions(captions));
+  });
+}
+
+function normalizeHashtags(raw) {
+  if (!Array.isArray(raw)) {
+    throw new Error('hashtags.json must contain an array.');
+  }
+
+  const seen = new Set();
+  const hashtags = [];
+  raw.forEach((entry, index) => {
+    let candidate = '';
+    if (typeof entry === 'string') candidate = entry;
+    else if (entry && typeof entry === 'object') {
+      if (typeof entry.tag === 'string') candidate = entry.tag;
+      else if (typeof entry.hashtag === 'string') candidate = entry.hashtag;
+      else if (typeof entry.text === 'string') candidate = entry.text;
+    }
+
+    const trimmed = candidate.trim();
+    if (!trimmed) return;
+    const tag = trimmed.startsWith('#') ? trimmed : `#${trimmed.replace(/\s+/g, '')}`;
+    if (seen.has(tag)) return;
+    seen.add(tag);
+
+    const isObject = entry && typeof entry === 'object';
+    hashtags.push({
+      tag,
+      categories: isObject ? normalizeCategories(entry.categories, `hashtags.json index ${index}`) : [],
+      weight: isObject ? normalizeWeight(entry.weight, `hashtags.json index ${index}`) : 1,
+      pinned: isObject && entry.pinned === true,
+    });
+  });
+
+  return hashtags;
+}
+
+function pickHashtags(hashtags, jobCategories, rules, recentUsage = new Map()) {
   if (hashtags.length === 0) {
     return [];
   }
 
-  const maxPick = Math.min(5, hashtags.length);
-  const minPick = Math.min(3, maxPick);
-  const pickCount = randomIntInclusive(minPick, maxPick);
-  return pickRandomItems(hashtags, pickCount);
+  const maxTags = Math.min(rules.max, rules.platform?.max_hashtags ?? Infinity);
+  const pinned = hashtags.filter((entry) => entry.pinned).slice(0, maxTags);
+  const unpinned = hashtags.filter((entry) => !entry.pinned);
+
+  // Tags still cooling down only come back (oldest use first) when fresh ones run out.
+  const ordered = categoryTiers(unpinned, jobCategories).flatMap((tier) => weightedShuffle(tier));
+  const fresh = ordered.filter((entry) => !recentUsage.has(entry.tag));
+  const cooling = ordered
+    .filter((entry) => recentUsage.has(entry.tag))
+    .sort((a, b) => recentUsage.get(b.tag) - recentUsage.get(a.tag));
+
+  const maxPick = Math.min(maxTags, pinned.length + unpinned.length);
+  const minPick = Math.min(rules.min, maxPick);
+  const pickCount = randomIntInclusive(minPick, maxPick);
+  const fillCount = Math.max(0, pickCount - pinned.length);
+  const extraCount = Math.max(0, Math.min(fillCount, minPick - pinned.length) - fresh.length);
+  const selected = [...fresh.slice(0, fillCount), ...cooling.slice(0, extraCount)];
+  return [...pinned, ...selected].map((entry) => entry.tag);
+}
+
+// Drops unpinned tags from the end, then pinned ones, then shortens the caption until
+// "caption\nhashtags" fits the platform's character limit.
+function fitCaptionToPlatform(captionText, tags, pinnedTags, platform) {
+  const limit = platform?.max_caption_chars;
+  let text = captionText;
+  let kept = [...tags];
+  if (!limit) return { text, hashtags: kept };
+
+  const length = () => text.length + (kept.length > 0 ? 1 + kept.join(' ').length : 0);
+  while (length() > limit && kept.length > 0) {
+    const dropIndex = kept.findLastIndex((tag) => !pinnedTags.has(tag));
+    kept.splice(dropIndex >= 0 ? dropIndex : kept.length - 1, 1);
+  }
+  if (text.length > limit) {
+    text = `${text.slice(0, Math.max(0, limit - 1)).trimEnd()}…`;
+  }
+  return { text, hashtags: kept };
+}
+
+function formatCaptionFile(text, tags, platform = null) {
+  if (platform?.hashtag_placement === 'inline') {
+    return tags.length > 0 ? `${text} ${tags.join(' ')}\n` : `${text}\n`;
+  }
+  return `${text}\n${tags.join(' ')}\n`;
+}
+
+function timeZoneLabel(now) {
+  if (TIME_ZONE_LABELS[timeZone]) return TIME_ZONE_LABELS[timeZone];
+  const name = new Intl.DateTimeFormat('en-US', { timeZone, timeZoneName: 'short' })
+    .formatToParts(now)
+    .find((part) => part.type === 'timeZoneName')?.value;
+  return (name ?? 'UTC').replace(/[^A-Za-z0-9+-]/g, '');
+}
+
+function formatJobFolderName(now = new Date()) {
+  const parts = new Intl.DateTimeFormat('en-CA', {
+    timeZone,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    hourCycle: 'h23',
+  }).formatToParts(now);
+
+  const map = Object.fromEntries(
+    parts
+      .filter((part) => part.type !== 'literal')
+      .map((part) => [part.type, part.value]),
+  );
+
+  return `job_${map.year}-${map.month}-${map.day}_${map.hour}-${map.minute}_${timeZoneLabel(now)}`;
+}
+
+function directoryNameCandidate(desiredName, attempt) {
+  const suffix = attempt === 0 ? '' : `_${String(attempt).padStart(2, '0')}`;
+  return `${desiredName}${suffix}`;
+}
+
+// Only looks; the folder itself appears when the staged job is renamed into place.
+// Real runs call this while holding the run lock, so no one else creates job folders in between.
+function uniqueDirectoryPath(baseDir, desiredName) {
+  let attempt = 0;
+  while (existsSync(path.join(baseDir, directoryNameCandidate(desiredName, attempt)))) {
+    attempt += 1;
+  }
+  return path.join(baseDir, directoryNameCandidate(desiredName, attempt));
+}
+
+async function uniqueFilePath(targetDir, baseName) {
+  const parsed = path.parse(baseName);
+  let attempt = 0;
+
+  while (true) {
+    const suffix = attempt === 0 ? '' : `_${attempt}`;
+    const candidateName = `${parsed.name}${suffix}${parsed.ext}`;
+    const candidatePath = path.join(targetDir, candidateName);
+
+    try {
+      await fs.access(candidatePath, fsConstants.F_OK);
+      attempt += 1;
+    } catch {
+      return candidatePath;
+    }
+  }
+}
+
+// Job folders start empty, so destination names only have to avoid each other.
+function uniqueFileName(takenNames, baseName) {
+  const parsed = path.parse(baseName);
+  let attempt = 0;
+
+  while (true) {
+    const suffix = attempt === 0 ? '' : `_${attempt}`;
+    const candidateName = `${parsed.name}${suffix}${parsed.ext}`;
+    if (!takenNames.has(candidateName.toLowerCase())) {
+      takenNames.add(candidateName.toLowerCase());
+      return candidateName;
+    }
+    attempt += 1;
+  }
+}
+
+async function moveFileSafe(sourcePath, destinationPath) {
+  try {
+    await fs.rename(sourcePath, destinationPath);
+  } catch (error) {
+    if (error.code !== 'EXDEV') throw error;
+    await fs.copyFile(sourcePath, destinationPath, fsConstants.COPYFILE_EXCL);
+    await fs.unlink(sourcePath);
+  }
+}
+
+async function ensureFfmpegAvailable() {
+  try {
+    await runProcess('ffmpeg', ['-hide_banner', '-version']);
+  } catch (error) {
+    throw new Error(
+      `ffmpeg is required to trim videos and convert images before output. Original error: ${error.message}`,
+    );
+  }
+}
+
+async function probeDurationSeconds(filePath) {
+  try {
+    const stdout = await runProcess('ffprobe', [
+      '-v',
+      'error',
+      '-show_entries',
+      'format=duration',
+      '-of',
+      'default=noprint_wrappers=1:nokey=1',
+      filePath,
+    ]);
+    const value = Number.parseFloat(stdout.trim());
+    return Number.isFinite(value) ? value : null;
+  } catch {
+    // Durations are informational only; a missing ffprobe must not fail the job.
+    return null;
+  }
+}
+
+async function probeStreams(filePath) {
+  try {
+    const stdout = await runProcess('ffprobe', [
+      '-v',
+      'error',
+      '-show_entries',
+      'stream=codec_type,codec_name,width,height,pix_fmt,bit_rate:format=bit_rate',
+      '-of',
+      'json',
+      filePath,
+    ]);
+    return JSON.parse(stdout);
+  } catch {
+    return null;
+  }
+}
+
+// Stream copy is only safe when the source already looks exactly like the preset output.
+function sourceMatchesPreset(sourcePath, probe, preset) {
+  if (!probe || path.extname(sourcePath).toLowerCase() !== `.${preset.container.toLowerCase()}`) {
+    return false;
+  }
+
+  const streams = probe.streams ?? [];
+  const video = streams.find((stream) => stream.codec_type === 'video');
+  const audio = streams.find((stream) => stream.codec_type === 'audio');
+  if (!video || video.codec_name !== ENCODER_CODEC_NAMES[preset.video_codec]) return false;
+  if (video.width !== preset.width || video.height !== preset.height) return false;
+  if (preset.video_codec === 'libx264' && video.pix_fmt !== 'yuv420p') return false;
+  if (audio && audio.codec_name !== ENCODER_CODEC_NAMES[preset.audio_codec]) return false;
+
+  if (preset.max_video_bitrate !== null) {
+    const bitrate = Number(video.bit_rate ?? probe.format?.bit_rate);
+    if (!Number.isFinite(bitrate) || bitrate > parseBitrate(preset.max_video_bitrate)) return false;
+  }
+
+  return true;
+}
+
+function buildEncodeArgs(preset) {
+  const { width, height } = preset;
+  const filter =
+    preset.fit === 'crop'
+      ? `scale=${width}:${height}:force_original_aspect_ratio=increase,crop=${width}:${height},setsar=1`
+      : `scale=${width}:${height}:force_original_aspect_ratio=decrease,pad=${width}:${height}:(ow-iw)/2:(oh-ih)/2:color=black,setsar=1`;
+
+  const args = ['-vf', filter, '-c:v', preset.video_codec];
+  if (preset.video_codec === 'libx264' || preset.video_codec === 'libx265') {
+    args.push('-preset', preset.encoder_preset, '-crf', String(preset.crf), '-pix_fmt', 'yuv420p');
+  }
+  if (preset.max_video_bitrate !== null) {
+    const maxRate = parseBitrate(preset.max_video_bitrate);
+    args.push('-maxrate', String(maxRate), '-bufsize', String(maxRate * 2));
+  }
+  args.push('-c:a', preset.audio_codec, '-b:a', preset.audio_bitrate);
+  return args;
+}
+
+function presetOutputFileName(baseName, preset) {
+  if (!preset) return baseName;
+  return `${path.parse(baseName).name}.${preset.container}`;
+}
+
+// Length of black/silence that starts at (or right after) 0s, per ffmpeg's detect filters.
+async function detectLeadingIntroSeconds(sourcePath, settings) {
+  const args = ['-hide_banner', '-loglevel', 'info', '-t', String(settings.scan_seconds), '-i', sourcePath];
+  if (settings.detect.includes('black')) {
+    args.push('-vf', `blackdetect=d=${settings.black_min_seconds}:pix_th=${settings.black_pixel_threshold}`);
+  }
+  if (settings.detect.includes('silence')) {
+    args.push('-af', `silencedetect=noise=${settings.silence_noise_db}dB:d=${settings.silence_min_seconds}`);
+  }
+  args.push('-f', 'null', '-');
+
+  const stderr = await runProcess('ffmpeg', args, { stderrOutput: true });
+  const leading = { black: 0, silence: 0 };
+
+  const blackMatch = /black_start:\s*(-?[\d.]+)\s+black_end:\s*([\d.]+)/.exec(stderr);
+  if (blackMatch && Number(blackMatch[1]) <= 0.1) {
+    leading.black = Number(blackMatch[2]);
+  }
+
+  const silenceStart = /silence_start:\s*(-?[\d.]+)/.exec(stderr);
+  const silenceEnd = /silence_end:\s*([\d.]+)/.exec(stderr);
+  if (silenceStart && silenceEnd && Number(silenceStart[1]) <= 0.1) {
+    leading.silence = Number(silenceEnd[1]);
+  }
+
+  return leading;
+}
+
+async function chooseTrimWindow(sourcePath, durationSeconds, settings, maxSeconds) {
+  const round = (value) => Math.round(value * 1000) / 1000;
+  const known = Number.isFinite(durationSeconds) && durationSeconds > 0;
+  const slack = known ? Math.max(0, durationSeconds - maxSeconds) : 0;
+  const window = { strategy: settings.strategy, start_seconds: 0, end_seconds: null };
+
+  switch (settings.strategy) {
+    case 'offset':
+      window.start_seconds = known ? Math.min(settings.offset_seconds, slack) : settings.offset_seconds;
+      break;
+    case 'random':
+      window.start_seconds = Math.random() * slack;
+      break;
+    case 'middle':
+      window.start_seconds = slack / 2;
+      break;
+    case 'skip_intro':
+      try {
+        window.detected = await detectLeadingIntroSeconds(sourcePath, settings);
+        const skip = Math.max(window.detected.black, window.detected.silence);
+        window.start_seconds = known && skip >= durationSeconds ? 0 : skip;
+      } catch (error) {
+        log(`Intro detection failed for "${sourcePath}", keeping the start. ${error.message}`);
+      }
+      break;
+    default:
+      break;
+  }
+
+  window.start_seconds = round(window.start_seconds);
+  window.end_seconds = known
+    ? round(Math.min(durationSeconds, window.start_seconds + maxSeconds))
+    : round(window.start_seconds + maxSeconds);
+  return window;
+}
+
+async function trimVideo(sourcePath, destinationPath, { startSeconds = 0, maxSeconds, preset = null }) {
+  const parsed = path.parse(destinationPath);
+  const tempDestinationPath = path.join(parsed.dir, `${parsed.name}.tmp${parsed.ext}`);
+  await fs.rm(tempDestinationPath, { force: true });
+
+  const mode = !preset || sourceMatchesPreset(sourcePath, await probeStreams(sourcePath), preset) ? 'copy' : 'reencode';
+  const codecArgs = mode === 'copy' ? ['-c', 'copy'] : buildEncodeArgs(preset);
+  const muxerArgs = preset?.faststart && ['mp4', 'mov', 'm4v'].includes(preset.container) ? ['-movflags', '+faststart'] : [];
+  // Input seeking: exact when re-encoding, snaps to the previous keyframe with stream copy.
+  const seekArgs = startSeconds > 0 ? ['-ss', String(startSeconds)] : [];
+
+  try {
+    await runProcess('ffmpeg', [
+      '-hide_banner',
+      '-loglevel',
+      'error',
+      '-y',
+      ...seekArgs,
+      '-i',
+      sourcePath,
+      '-t',
+      String(maxSeconds),
+      ...codecArgs,
+      ...muxerArgs,
+      tempDestinationPath,
+    ]);
+
+    await fs.rename(tempDestinationPath, destinationPath);
+    return { preset: preset?.name ?? null, mode };
+  } catch (error) {
+    await fs.rm(tempDestinationPath, { force: true });
+    throw new Error(
+      `Failed to ${mode === 'copy' ? 'trim' : 're-encode'} video "${sourcePath}" to ${maxSeconds}s. ${error.message}`,
+    );
+  }
+}
+
+function shouldConvertImage(sourcePath, settings) {
+  if (!settings) return false;
+  if (settings.convert === 'all') return true;
+  return settings.convert.includes(path.extname(sourcePath).slice(1).toLowerCase());
+}
+
+function imageOutputFileName(baseName, settings) {
+  if (!shouldConvertImage(baseName, settings)) return baseName;
+  return `${path.parse(baseName).name}.${settings.format}`;
+}
+
+async function probeImageOrientation(filePath) {
+  try {
+    const stdout = await runProcess('ffprobe', [
+      '-v',
+      'error',
+      '-select_streams',
+      'v:0',
+      '-show_entries',
+      'frame_tags=Orientation',
+      '-read_intervals',
+      '%+#1',
+      '-of',
+      'default=noprint_wrappers=1:nokey=1',
+      filePath,
+    ]);
+    const value = Number.parseInt(stdout.trim(), 10);
+    return Number.isInteger(value) ? value : 1;
+  } catch {
+    return 1;
+  }
+}
+
+function buildImageFilters(settings, orientation) {
+  const filters = [];
+  if (EXIF_ORIENTATION_FILTERS[orientation]) {
+    filters.push(EXIF_ORIENTATION_FILTERS[orientation]);
+  }
+
+  if (settings.aspect) {
+    const { width: aw, height: ah } = settings.aspect;
+    filters.push(
+      settings.fit === 'crop'
+        ? `crop='min(iw,ih*${aw}/${ah})':'min(ih,iw*${ah}/${aw})'`
+        : `pad='max(iw,ih*${aw}/${ah})':'max(ih,iw*${ah}/${aw})':(ow-iw)/2:(oh-ih)/2:color=${settings.pad_color}`,
+    );
+  }
+
+  if (settings.max_edge !== null) {
+    const edge = settings.max_edge;
+    filters.push(`scale='if(gte(iw,ih),min(iw,${edge}),-2)':'if(gte(iw,ih),-2,min(ih,${edge}))'`);
+  }
+
+  return filters;
+}
+
+async function convertImage(sourcePath, destinationPath, settings) {
+  const parsed = path.parse(destinationPath);
+  const tempDestinationPath = path.join(parsed.dir, `${parsed.name}.tmp${parsed.ext}`);
+  await fs.rm(tempDestinationPath, { force: true });
+
+  const orientation = await probeImageOrientation(sourcePath);
+  const filters = buildImageFilters(settings, orientation);
+  const codecArgs =
+    settings.format === 'webp'
+      ? ['-c:v', 'libwebp', '-quality', String(settings.quality)]
+      : ['-c:v', 'mjpeg', '-pix_fmt', 'yuvj420p', '-q:v', String(Math.round(31 - (settings.quality / 100) * 29))];
+
+  try {
+    await runProcess('ffmpeg', [
+      '-hide_banner',
+      '-loglevel',
+      'error',
+      '-y',
+      '-i',
+      sourcePath,
+      ...(filters.length > 0 ? ['-vf', filters.join(',')] : []),
+      ...(settings.strip_metadata ? ['-map_metadata', '-1'] : []),
+      '-frames:v',
+      '1',
+      ...codecArgs,
+      tempDestinationPath,
+    ]);
+
+    await fs.rename(tempDestinationPath, destinationPath);
+    return { format: settings.format, orientation_fixed: orientation !== 1, filters };
+  } catch (error) {
+    await fs.rm(tempDestinationPath, { force: true });
+    throw new Error(`Failed to convert image "${sourcePath}" to ${settings.format}. ${error.message}`);
+  }
+}
+
+// Every move out of source_media is journaled before it happens, so a failed or
+// killed run can put the media back exactly where it came from.
+async function stageMove(staging, from, to) {
+  staging.moves.push({ from, to });
+  await writeJsonFile(path.join(staging.dir, STAGING_JOURNAL_NAME), staging.moves);
+  await moveFileSafe(from, to);
+}
+
+// The journal is removed once reverted, so a staging folder kept after an incomplete media
+// rollback never reverts the marks a second time over later runs.
+async function revertStagedCaptionUsage(stagingDir) {
+  const journalPath = path.join(stagingDir, STAGING_CAPTIONS_NAME);
+  let changes;
+  try {
+    changes = await readJsonFile(journalPath);
+  } catch (error) {
+    if (error.code === 'ENOENT') return;
+    throw error;
+  }
+  await applyCaptionUsage(changes, 'before');
+  await fs.rm(journalPath, { force: true });
+}
+
+async function rollbackStaging(stagingDir, moves) {
+  let restored = true;
+  for (const { from, to } of [...moves].reverse()) {
+    if (!existsSync(to)) continue;
+    try {
+      await fs.mkdir(path.dirname(from), { recursive: true });
+      await moveFileSafe(to, from);
+    } catch (error) {
+      restored = false;
+      log(`Rollback: failed to return "${to}" to "${from}". ${error.message}`);
+    }
+  }
+
+  if (!restored) {
+    log(`Rollback incomplete: staging folder kept at ${stagingDir}.`);
+    return false;
+  }
+
+  await fs.rm(stagingDir, { recursive: true, force: true });
+  return true;
+}
+
+async function hasStagedFiles(stagingDir) {
+  const entries = await fs.readdir(stagingDir, { recursive: true, withFileTypes: true });
+  // Leftover writeJsonFile temp files are not media.
+  return entries.some((entry) => entry.isFile() && !entry.name.endsWith('.tmp'));
+}
+
+async function recoverInterruptedStaging() {
+  const entries = await fs.readdir(outputJobsDir, { withFileTypes: true });
+  for (const entry of entries) {
+    if (!entry.isDirectory() || !entry.name.startsWith(STAGING_PREFIX)) continue;
+
+    const stagingDir = path.join(outputJobsDir, entry.name);
+    let moves;
+    try {
+      moves = await readJsonFile(path.join(stagingDir, STAGING_JOURNAL_NAME));
+    } catch (error) {
+      if (error.code === 'ENOENT' && !(await hasStagedFiles(stagingDir))) {
+        // Killed before the first journal write: nothing was moved out of source_media yet.
+        log(`Removing interrupted staging ${stagingDir}: no journal and no staged files.`);
+        await fs.rm(stagingDir, { recursive: true, force: true });
+        continue;
+      }
+      log(`Interrupted staging ${stagingDir} has no readable journal, left untouched. ${error.message}`);
+      continue;
+    }
+
+    log(`Recovering interrupted staging ${stagingDir}: returning ${moves.length} file(s) to source_media.`);
+    await revertStagedCaptionUsage(stagingDir).catch((error) => {
+      log(`Warning: failed to restore caption usage from ${stagingDir}. ${error.message}`);
+    });
+    await rollbackStaging(stagingDir, moves);
+  }
+}
+
+async function planJob(profile, { persistIndex = true } = {}) {
+  const [images, videos] = await Promise.all([
+    collectFilesRecursive(sourceImageDir, IMAGE_EXTENSIONS),
+    collectFilesRecursive(sourceVideoDir, VIDEO_EXTENSIONS),
+  ]);
+  const stock = { images: images.length, videos: videos.length };
+
+  const mediaIndex = await refreshMediaIndex(await loadMediaIndex(), [...images, ...videos]);
+  if (persistIndex) {
+    await writeJsonFile(mediaIndexPath, mediaIndex);
+  }
+
+  const recentManifests = await readRecentManifests(Math.max(dedupeRecentJobs, profile.hashtag_rules.cooldown_jobs));
+  const recentHashes = collectManifestHashes(recentManifests.slice(0, dedupeRecentJobs));
+  const imageGroups = groupUniqueMedia(images, mediaIndex, recentHashes);
+  const videoGroups = groupUniqueMedia(videos, mediaIndex, recentHashes);
+  const eligible = { images: imageGroups.length, videos: videoGroups.length };
+
+  const composition = chooseComposition(eligible.images, eligible.videos, profile);
+  if (!composition) {
+    return { profile, stock, eligible, composition: null };
+  }
+
+  if (composition.videos > 0 || (composition.images > 0 && profile.image_output)) {
+    await ensureFfmpegAvailable();
+  }
+
+  const selectedImages = pickFromGroups(imageGroups, composition.images);
+  const selectedVideos = pickFromGroups(videoGroups, composition.videos);
+  const takenNames = new Set();
+  const media = [
+    ...selectedImages.map((sourcePath) => ({ type: 'image', sourcePath })),
+    ...selectedVideos.map((sourcePath) => ({ type: 'video', sourcePath })),
+  ].map((item) => ({
+    ...item,
+    videoPreset: item.type === 'video' ? profile.video_preset : null,
+    videoTrim: item.type === 'video' ? profile.video_trim : null,
+    imageOutput: item.type === 'image' ? profile.image_output : null,
+    fileName: uniqueFileName(
+      takenNames,
+      item.type === 'video'
+        ? presetOutputFileName(path.basename(item.sourcePath), profile.video_preset)
+        : imageOutputFileName(path.basename(item.sourcePath), profile.image_output),
+    ),
+    sha256: indexEntryFor(mediaIndex, item.sourcePath)?.sha256 ?? null,
+  }));
+
+  const captionVariables = await loadCaptionVariables();
+  const knownVariables = new Set([...BUILTIN_TEMPLATE_VARIABLES, ...Object.keys(captionVariables)]);
+  const captionsRaw = await readJsonFile(captionsPath);
+  const { valid: normalizedCaptions, invalid: invalidCaptions } = splitCaptionTemplates(
+    normalizeCaptionEntries(captionsRaw),
+    knownVariables,
+  );
+  for (const entry of invalidCaptions) {
+    log(`Warning: skipping caption #${entry.id}, invalid template: ${entry.problems.join(', ')}.`);
+  }
+  if (normalizedCaptions.length === 0 && invalidCaptions.length > 0) {
+    throw new Error(`Every caption in captions.json has an invalid template (${invalidCaptions.length} skipped).`);
+  }
+  const categories = mediaCategories(media);
+  const { captionId, captionText, nextCaptions } = pickCaption(normalizedCaptions, categories);
+
+  const hashtagsRaw = await readJsonFile(hashtagsPath);
+  const hashtags = normalizeHashtags(hashtagsRaw);
+  const hashtagUsage = collectHashtagUsage(recentManifests.slice(0, profile.hashtag_rules.cooldown_jobs));
+  const selectedHashtags = pickHashtags(hashtags, categories, profile.hashtag_rules, hashtagUsage);
+
+  return {
+    profile,
+    stock,
+    eligible,
+    composition,
+    media,
+    categories,
+    captionId,
+    captionTemplate: captionText,
+    captionVariables,
+    captionChanges: diffCaptionUsage(normalizedCaptions, nextCaptions),
+    hashtags: selectedHashtags,
+    pinnedHashtags: new Set(hashtags.filter((entry) => entry.pinned).map((entry) => entry.tag)),
+    jobFolderName: formatJobFolderName(),
+  };
+}
+
+// caption.txt follows hashtag_rules.platform; every caption_platforms entry gets its own
+// caption_<platform>.txt fitted to that platform's limits.
+function finalizeCaption(plan, jobDir) {
+  const rendered = renderCaptionTemplate(plan.captionTemplate, buildTemplateVariables(plan, jobDir));
+  const mainPlatform = plan.profile.hashtag_rules.platform;
+  const main = fitCaptionToPlatform(rendered, plan.hashtags, plan.pinnedHashtags, mainPlatform);
+  const platforms = plan.profile.caption_platforms.map((platform) => {
+    // plan.hashtags lists pinned tags first, so the cut keeps them.
+    const tags = plan.hashtags.slice(0, platform.max_hashtags ?? Infinity);
+    const fitted = fitCaptionToPlatform(rendered, tags, plan.pinnedHashtags, platform);
+    return {
+      platform: platform.name,
+      file_name: `caption_${platform.name}.txt`,
+      ...fitted,
+      content: formatCaptionFile(fitted.text, fitted.hashtags, platform),
+    };
+  });
+  return { ...main, content: formatCaptionFile(main.text, main.hashtags, mainPlatform), platforms };
+}
+
+function describePlatformCaptions(finalCaption) {
+  return Object.fromEntries(
+    finalCaption.platforms.map((entry) => [
+      entry.platform,
+      { file_name: entry.file_name, text: entry.text, hashtags: entry.hashtags },
+    ]),
+  );
+}
+
+function describePlan(plan, jobDir) {
+  const finalCaption = plan.composition ? finalizeCaption(plan, jobDir) : null;
+  return {
+    dry_run: true,
+    status: plan.composition ? 'planned' : 'skip',
+    reason: plan.composition ? null : 'not_enough_media',
+    profile: plan.profile.name,
+    stock: plan.stock,
+    eligible: plan.eligible,
+    composition: plan.composition,
+    categories: plan.categories ?? [],
+    job_dir: plan.composition ? jobDir : null,
+    video_max_seconds: videoMaxSeconds,
+    video_preset: plan.profile.video_preset?.name ?? null,
+    video_trim_strategy: plan.profile.video_trim.strategy,
+    media: (plan.media ?? []).map((item) => ({
+      type: item.type,
+      source: item.sourcePath,
+      file_name: item.fileName,
+      sha256: item.sha256,
+    })),
+    caption: finalCaption ? { id: plan.captionId, text: finalCaption.text, template: plan.captionTemplate } : null,
+    hashtags: finalCaption?.hashtags ?? [],
+    platform_captions: finalCaption ? describePlatformCaptions(finalCaption) : {},
+  };
+}
+
+async function dryRun(profile) {
+  const plan = await planJob(profile, { persistIndex: false });
+  const jobDir = plan.composition ? uniqueDirectoryPath(outputJobsDir, plan.jobFolderName) : null;
+  const description = describePlan(plan, jobDir);
+  if (jsonOutput) {
+    emitResult(description);
+    return;
+  }
+  console.log(JSON.stringify(description, null, 2));
+}
+
+async function writeJobManifest(targetDir, jobDir, plan, finalCaption, mediaEntries, createdAt) {
+  const manifest = {
+    job_name: path.basename(jobDir),
+    profile: plan.profile.name,
+    created_at: createdAt,
+    completed_at: new Date().toISOString(),
+    video_max_seconds: videoMaxSeconds,
+    video_preset: plan.profile.video_preset?.name ?? null,
+    categories: plan.categories,
+    caption: { id: plan.captionId, text: finalCaption.text, template: plan.captionTemplate },
+    hashtags: finalCaption.hashtags,
+    platform_captions: describePlatformCaptions(finalCaption),
+    media: mediaEntries,
+  };
+  await writeJsonFile(path.join(targetDir, 'manifest.json'), manifest);
+}
+
+async function stageMediaItem(item, staging) {
+  const sourceRoot = item.type === 'video' ? sourceVideoDir : sourceImageDir;
+  const destinationPath = path.join(staging.dir, item.fileName);
+  const sourceStat = await fs.stat(item.sourcePath);
+  const entry = {
+    file_name: item.fileName,
+    type: item.type,
+    source_path: item.sourcePath,
+    source_relative_path: path.relative(sourceRoot, item.sourcePath),
+    original_format: path.extname(item.sourcePath).slice(1).toLowerCase(),
+    source_size_bytes: sourceStat.size,
+    sha256: item.sha256,
+    size_bytes: null,
+    ffmpeg_ms: null,
+  };
+
+  if (item.type === 'video') {
+    // Converted sources are parked inside staging and only discarded after publish.
+    entry.original_duration_seconds = await probeDurationSeconds(item.sourcePath);
+    entry.trim = await chooseTrimWindow(
+      item.sourcePath,
+      entry.original_duration_seconds,
+      item.videoTrim,
+      videoMaxSeconds,
+    );
+    const trimStartedAt = Date.now();
+    entry.encode = await trimVideo(item.sourcePath, destinationPath, {
+      startSeconds: entry.trim.start_seconds,
+      maxSeconds: videoMaxSeconds,
+      preset: item.videoPreset,
+    });
+    entry.ffmpeg_ms = Date.now() - trimStartedAt;
+    entry.trimmed_duration_seconds = await probeDurationSeconds(destinationPath);
+    await stageMove(staging, item.sourcePath, path.join(staging.dir, STAGING_ORIGINALS_DIR, item.fileName));
+  } else if (shouldConvertImage(item.sourcePath, item.imageOutput)) {
+    const convertStartedAt = Date.now();
+    entry.convert = await convertImage(item.sourcePath, destinationPath, item.imageOutput);
+    entry.ffmpeg_ms = Date.now() - convertStartedAt;
+    await stageMove(staging, item.sourcePath, path.join(staging.dir, STAGING_ORIGINALS_DIR, item.fileName));
+  } else {
+    await stageMove(staging, item.sourcePath, destinationPath);
+  }
+
+  entry.size_bytes = (await fs.stat(destinationPath)).size;
+  return entry;
+}
+
+async function publishJob(plan, createdAt) {
+  const jobDir = uniqueDirectoryPath(outputJobsDir, plan.jobFolderName);
+  const staging = {
+    dir: await fs.mkdtemp(path.join(outputJobsDir, STAGING_PREFIX)),
+    moves: [],
+  };
+  // An empty journal from the start means any staging folder without one never moved media.
+  await writeJsonFile(path.join(staging.dir, STAGING_JOURNAL_NAME), staging.moves);
+  await fs.mkdir(path.join(staging.dir, STAGING_ORIGINALS_DIR));
+
+  let finalCaption;
+  const mediaEntries = [];
+
+  try {
+    for (const item of plan.media) {
+      mediaEntries.push(await stageMediaItem(item, staging));
+    }
+
+    finalCaption = finalizeCaption(plan, jobDir);
+    await fs.writeFile(path.join(staging.dir, 'caption.txt'), finalCaption.content, 'utf8');
+    for (const entry of finalCaption.platforms) {
+      await fs.writeFile(path.join(staging.dir, entry.file_name), entry.content, 'utf8');
+    }
+    await writeJobManifest(staging.dir, jobDir, plan, finalCaption, mediaEntries, createdAt);
+
+    // Journaled like the media moves: if the process dies before the rename, recovery
+    // reverts the usage marks along with the media.
+    await writeJsonFile(path.join(staging.dir, STAGING_CAPTIONS_NAME), plan.captionChanges);
+    await applyCaptionUsage(plan.captionChanges, 'after');
+
+    await fs.rename(staging.dir, jobDir);
+  } catch (error) {
+    await revertStagedCaptionUsage(staging.dir).catch((rollbackError) => {
+      log(`Warning: failed to restore caption usage in ${captionsPath}. ${rollbackError.message}`);
+    });
+    const restored = await rollbackStaging(staging.dir, staging.moves);
+    log(`Run failed, ${restored ? 'all media returned to source_media' : 'rollback incomplete'}. ${error.message}`);
+    throw error;
+  }
+
+  // Past the rename the job is live; leftovers here are cosmetic, so only warn.
+  try {
+    await fs.rm(path.join(jobDir, STAGING_ORIGINALS_DIR), { recursive: true, force: true });
+    await fs.rm(path.join(jobDir, STAGING_JOURNAL_NAME), { force: true });
+    await fs.rm(path.join(jobDir, STAGING_CAPTIONS_NAME), { force: true });
+  } catch (error) {
+    log(`Warning: failed to clean staging leftovers in ${jobDir}. ${error.message}`);
+  }
+
+  return { jobDir, hashtags: finalCaption.hashtags, mediaEntries };
+}
+
+// Runs under the lock held by runScheduledJob.
+async function createJob(requestedProfile) {
+  await recoverInterruptedStaging();
+
+  const createdAt = new Date().toISOString();
+  const profile = await loadProfile(requestedProfile);
+  const plan = await planJob(profile);
+  const { stock, eligible, composition } = plan;
+  if (!composition) {
+    log(
+      `Run skipped: not enough source media for profile "${profile.name}". images=${stock.images}, videos=${stock.videos}, total=${stock.images + stock.videos}, eligible_images=${eligible.images}, eligible_videos=${eligible.videos}.`,
+    );
+    await checkLowStockSafely(profile);
+    await applyRetentionAfterJob();
+    return { status: 'skip', reason: 'not_enough_media', profile: profile.name, stock, eligible };
+  }
+
+  const { jobDir, hashtags, mediaEntries } = await publishJob(plan, createdAt);
+  const delivery = await deliverAfterJob(jobDir);
+  await checkLowStockSafely(profile);
+  await applyRetentionAfterJob();
+
+  log(
+    `Run success: ${plan.media.length} media moved to ${jobDir}. profile=${profile.name}, images=${composition.images}, videos=${composition.videos}, hashtags=${hashtags.length}, video_max_seconds=${videoMaxSeconds}, video_preset=${profile.video_preset?.name ?? 'none'}.`,
+  );
+  return {
+    status: 'success',
+    reason: null,
+    profile: profile.name,
+    stock,
+    stock_remaining: {
+      images: stock.images - composition.images,
+      videos: stock.videos - composition.videos,
+    },
+    composition,
+    job_dir: jobDir,
+    media: mediaEntries.map((entry) => ({
+      file_name: entry.file_name,
+      type: entry.type,
+      source_relative_path: entry.source_relative_path,
+      ffmpeg_ms: entry.ffmpeg_ms,
+    })),
+    caption_id: plan.captionId,
+    caption_template: plan.captionTemplate,
+    hashtags,
+    delivery,
+  };
+}
+
+function resolveJobDir(jobArg, command = 'undo') {
+  if (!jobArg) {
+    throw new Error(`Usage: run_job.mjs ${command} <job_folder>`);
+  }
+
+  const jobDir = path.resolve(outputJobsDir, jobArg);
+  if (path.dirname(jobDir) !== path.resolve(outputJobsDir)) {
+    throw new Error(`Job folder must be directly inside ${outputJobsDir}. Received: "${jobArg}".`);
+  }
+  // Only real jobs: staging, .archive and stray folders have no business being undone or delivered.
+  if (!path.basename(jobDir).startsWith('job_')) {
+    throw new Error(`Not a job folder (expected a "job_" name): "${jobArg}".`);
+  }
+  if (!existsSync(jobDir)) {
+    throw new Error(`Job folder not found: ${jobDir}`);
+  }
+  if (!existsSync(path.join(jobDir, 'manifest.json'))) {
+    throw new Error(`Not a finished job, manifest.json is missing: ${jobDir}`);
+  }
+  return jobDir;
+}
+
+function resolveStockPath(entry) {
+  const sourceRoot = entry.type === 'video' ? sourceVideoDir : sourceImageDir;
+  const relativePath = entry.source_relative_path || path.basename(entry.file_name);
+  // Converted media comes back under its original name but with the output extension.
+  const parsed = path.parse(relativePath);
+  const target = path.resolve(sourceRoot, parsed.dir, `${parsed.name}${path.extname(entry.file_name)}`);
+  if (path.relative(sourceRoot, target).startsWith('..')) {
+    throw new Error(`Manifest entry "${entry.file_name}" points outside ${sourceRoot}.`);
+  }
+  return target;
+}
+
+async function releaseCaption(caption) {
+  if (!caption) return null;
+
+  return withBankLock(async () => {
+    const captions = normalizeCaptionEntries(await readJsonFile(captionsPath));
+    // The wizard renumbers ids on save, so the (unrendered) text is the reliable key.
+    const captionTemplate = caption.template ?? caption.text;
+    const match =
+      captions.find((entry) => entry.text === captionTemplate) ??
+      captions.find((entry) => entry.id === caption.id && !captionTemplate);
+    if (!match) {
+      log(`Undo: caption #${caption.id} is no longer in captions.json, nothing to release.`);
+      return null;
+    }
+
+    match.used = false;
+    match.used_at = null;
+    await writeJsonFile(captionsPath, serializeCaptions(captions));
+    return match.id;
+  });
+}
+
+async function dropQueuedDeliveries(jobName) {
+  const queue = await loadDeliveryQueue();
+  const remaining = queue.filter((entry) => entry.job !== jobName);
+  if (remaining.length === queue.length) return 0;
+  await writeJsonFile(deliveryQueuePath, remaining);
+  return queue.length - remaining.length;
+}
+
+async function undoJob(jobArg) {
+  const startedAt = new Date();
+  const jobDir = resolveJobDir(jobArg);
+  let manifest;
+  try {
+    manifest = await readJsonFile(path.join(jobDir, 'manifest.json'));
+  } catch (error) {
+    throw new Error(`Cannot undo ${jobDir}: manifest.json is missing or unreadable. ${error.message}`);
+  }
+
+  const lockAcquired = await acquireLock();
+  if (!lockAcquired) {
+    log('Undo skipped: a run is currently active.');
+    return { status: 'skip', reason: 'locked' };
+  }
+
+  try {
+    const restored = [];
+    for (const entry of manifest.media ?? []) {
+      const jobFilePath = path.join(jobDir, entry.file_name);
+      if (!existsSync(jobFilePath)) {
+        log(`Undo: ${entry.file_name} is not in the job folder anymore, skipped.`);
+        continue;
+      }
+
+      const stockPath = resolveStockPath(entry);
+      await fs.mkdir(path.dirname(stockPath), { recursive: true });
+      const destinationPath = await uniqueFilePath(path.dirname(stockPath), path.basename(stockPath));
+      await moveFileSafe(jobFilePath, destinationPath);
+      restored.push({ file_name: entry.file_name, type: entry.type, restored_to: destinationPath });
+    }
+
+    const captionId = await releaseCaption(manifest.caption);
+    // Still under the run lock, so `deliver` cannot be mid-upload of this job.
+    const deliveriesDropped = await dropQueuedDeliveries(path.basename(jobDir));
+    await fs.rm(jobDir, { recursive: true, force: true });
+    await appendHistory(startedAt, { status: 'undone', reason: null, profile: manifest.profile, job_dir: jobDir });
+
+    log(
+      `Undo success: ${restored.length} media returned to source_media from ${jobDir}. caption_released=${captionId ?? 'none'}, deliveries_dropped=${deliveriesDropped}.`,
+    );
+    return {
+      status: 'success',
+      reason: null,
+      job_dir: jobDir,
+      restored,
+      caption_id: captionId,
+      deliveries_dropped: deliveriesDropped,
+    };
+  } finally {
+    await releaseLock();
+  }
+}
+
+function normalizeDeliveryTarget(raw, index) {
+  const label = `delivery.json targets[${index}]`;
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+    throw new Error(`${label} must be an object.`);
+  }
+  if (typeof raw.name !== 'string' || !raw.name.trim()) {
+    throw new Error(`${label}: name is required.`);
+  }
+  if (!DELIVERY_TYPES.has(raw.type)) {
+    throw new Error(`${label}: unknown type "${raw.type}". Valid values: ${[...DELIVERY_TYPES].join(', ')}.`);
+  }
+
+  const required = { copy: ['path'], webhook: ['url'], s3: ['endpoint', 'bucket'], sftp: ['host', 'user', 'path'] };
+  for (const key of required[raw.type]) {
+    if (typeof raw[key] !== 'string' || !raw[key].trim()) {
+      throw new Error(`${label} (${raw.type}): ${key} is required.`);
+    }
+  }
+
+  const target = { ...raw, name: raw.name.trim() };
+  if (raw.type === 'webhook') {
+    target.headers = raw.headers ?? {};
+    target.file_field = raw.file_field ?? 'files';
+    if (typeof target.headers !== 'object' || Array.isArray(target.headers)) {
+      throw new Error(`${label}: headers must be an object.`);
+    }
+  }
+  if (raw.type === 's3') {
+    target.region = raw.region ?? 'us-east-1';
+    target.prefix = raw.prefix ?? '';
+    target.access_key_env = raw.access_key_env ?? 'AUTO_PREVIEW_S3_ACCESS_KEY';
+    target.secret_key_env = raw.secret_key_env ?? 'AUTO_PREVIEW_S3_SECRET_KEY';
+  }
+  if (raw.type === 'sftp') {
+    target.port = raw.port ?? 22;
+    if (!Number.isInteger(target.port) || target.port <= 0) {
+      throw new Error(`${label}: port must be a positive integer.`);
+    }
+  }
+  return target;
+}
+
+// Returns null when data/delivery.json is missing: jobs then stay local and get no delivery.json.
+async function loadDeliveryConfig() {
+  let raw;
+  try {
+    raw = await readJsonFile(deliveryConfigPath);
+  } catch (error) {
+    if (error.code === 'ENOENT') return null;
+    throw new Error(`Failed to read ${deliveryConfigPath}. ${error.message}`);
+  }
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw) || !Array.isArray(raw.targets)) {
+    throw new Error('delivery.json must contain an object with a "targets" array.');
+  }
+
+  const config = { ...DELIVERY_DEFAULTS, ...raw, targets: raw.targets.map(normalizeDeliveryTarget) };
+  for (const key of Object.keys(DELIVERY_DEFAULTS)) {
+    if (!Number.isInteger(config[key]) || config[key] <= 0) {
+      throw new Error(`delivery.json: ${key} must be a positive integer.`);
+    }
+  }
+  const names = config.targets.map((target) => target.name);
+  const duplicate = names.find((name, index) => names.indexOf(name) !== index);
+  if (duplicate) {
+    throw new Error(`delivery.json: target name "${duplicate}" is used twice.`);
+  }
+  return config;
+}
+
+async function listDeliverableFiles(jobDir) {
+  const entries = await fs.readdir(jobDir, { withFileTypes: true });
+  return entries
+    .filter((entry) => entry.isFile() && !entry.name.startsWith('.') && entry.name !== DELIVERY_STATUS_NAME)
+    .map((entry) => entry.name)
+    .sort();
+}
+
+async function deliverByCopy(target, jobDir, files) {
+  const jobName = path.basename(jobDir);
+  const destinationDir = path.join(target.path, jobName);
+  const partialDir = path.join(target.path, `.${jobName}.partial`);
+
+  // Copy next to the destination first, so readers of the share never see half a job.
+  await fs.rm(partialDir, { recursive: true, force: true });
+  await fs.mkdir(partialDir, { recursive: true });
+  for (const fileName of files) {
+    await fs.copyFile(path.join(jobDir, fileName), path.join(partialDir, fileName));
+  }
+  await fs.rm(destinationDir, { recursive: true, force: true });
+  await fs.rename(partialDir, destinationDir);
+  return { location: destinationDir };
+}
+
+async function deliverByWebhook(target, jobDir, files, config) {
+  const form = new FormData();
+  form.append('job_name', path.basename(jobDir));
+  for (const fileName of files) {
+    form.append(target.file_field, await openAsBlob(path.join(jobDir, fileName)), fileName);
+  }
+
+  const response = await fetch(target.url, {
+    method: 'POST',
+    headers: target.headers,
+    body: form,
+    signal: AbortSignal.timeout(config.timeout_seconds * 1000),
+  });
+  if (!response.ok) {
+    throw new Error(`Webhook answered ${response.status} ${response.statusText}.`);
+  }
+  return { location: target.url, http_status: response.status };
+}
+
+function hmacSha256(key, value) {
+  return createHmac('sha256', key).update(value).digest();
+}
+
+// S3 path segments are encoded per RFC 3986, which is stricter than encodeURIComponent.
+function encodeS3PathSegment(segment) {
+  return encodeURIComponent(segment).replace(/[!'()*]/g, (char) => `%${char.charCodeAt(0).toString(16).toUpperCase()}`);
+}
+
+// AWS Signature Version 4 headers; works for AWS S3 and S3-compatible servers like MinIO.
+function signAwsRequest({ method, url, region, service = 's3', accessKey, secretKey, payloadHash, now = new Date() }) {
+  const amzDate = now.toISOString().replace(/[:-]|\.\d{3}/g, '');
+  const dateStamp = amzDate.slice(0, 8);
+  const headers = { host: url.host, 'x-amz-content-sha256': payloadHash, 'x-amz-date': amzDate };
+  const signedHeaders = Object.keys(headers).sort().join(';');
+  const canonicalHeaders = Object.keys(headers)
+    .sort()
+    .map((name) => `${name}:${headers[name]}\n`)
+    .join('');
+  const canonicalQuery = [...url.searchParams.entries()]
+    .map(([key, value]) => `${encodeS3PathSegment(key)}=${encodeS3PathSegment(value)}`)
+    .sort()
+    .join('&');
+  const canonicalRequest = [method, url.pathname, canonicalQuery, canonicalHeaders, signedHeaders, payloadHash].join('\n');
+
+  const scope = `${dateStamp}/${region}/${service}/aws4_request`;
+  const stringToSign = [
+    'AWS4-HMAC-SHA256',
+    amzDate,
+    scope,
+    createHash('sha256').update(canonicalRequest).digest('hex'),
+  ].join('\n');
+  const signingKey = ['aws4_request']
+    .reduce((key, part) => hmacSha256(key, part), hmacSha256(hmacSha256(hmacSha256(`AWS4${secretKey}`, dateStamp), region), service));
+  const signature = createHmac('sha256', signingKey).update(stringToSign).digest('hex');
+
+  return {
+    ...headers,
+    authorization: `AWS4-HMAC-SHA256 Credential=${accessKey}/${scope}, SignedHeaders=${signedHeaders}, Signature=${signature}`,
+  };
+}
+
+async function deliverToS3(target, jobDir, files, config) {
+  const accessKey = process.env[target.access_key_env];
+  const secretKey = process.env[target.secret_key_env];
+  if (!accessKey || !secretKey) {
+    throw new Error(`S3 credentials missing: set ${target.access_key_env} and ${target.secret_key_env}.`);
+  }
+
+  const jobName = path.basename(jobDir);
+  const keyPrefix = target.prefix.replace(/^\/+/, '');
+  for (const fileName of files) {
+    const filePath = path.join(jobDir, fileName);
+    const key = `${keyPrefix}${jobName}/${fileName}`;
+    // Path-style URLs (endpoint/bucket/key) are what MinIO and most S3-compatible servers expect.
+    const url = new URL(
+      `${target.endpoint.replace(/\/+$/, '')}/${encodeS3PathSegment(target.bucket)}/${key.split('/').map(encodeS3PathSegment).join('/')}`,
+    );
+    const headers = signAwsRequest({
+      method: 'PUT',
+      url,
+      region: target.region,
+      accessKey,
+      secretKey,
+      payloadHash: await hashFileSha256(filePath),
+    });
+
+    const response = await fetch(url, {
+      method: 'PUT',
+      headers,
+      body: await openAsBlob(filePath),
+      signal: AbortSignal.timeout(config.timeout_seconds * 1000),
+    });
+    if (!response.ok) {
+      const body = (await response.text()).slice(0, 300);
+      throw new Error(`S3 PUT ${key} answered ${response.status}: ${body}`);
+    }
+  }
+  return { location: `s3://${target.bucket}/${keyPrefix}${jobName}/` };
+}
+
+function quoteSftpPath(value) {
+  return `"${value.replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"`;
+}
+
+async function deliverBySftp(target, jobDir, files, config) {
+  const jobName = path.basename(jobDir);
+  const remoteDir = path.posix.join(target.path, jobName);
+  const batchPath = path.join(os.tmpdir(), `auto-preview-sftp-${process.pid}-${Date.now()}.txt`);
+  // A leading "-" lets mkdir fail when the folder is already there from an earlier attempt.
+  const batch = [
+    `-mkdir ${quoteSftpPath(remoteDir)}`,
+    ...files.map((fileName) => `put ${quoteSftpPath(path.join(jobDir, fileName))} ${quoteSftpPath(`${remoteDir}/${fileName}`)}`),
+  ];
+  await fs.writeFile(batchPath, `${batch.join('\n')}\n`, 'utf8');
+
+  const args = [
+    '-b',
+    batchPath,
+    '-P',
+    String(target.port),
+    '-o',
+    'BatchMode=yes',
+    '-o',
+    `ConnectTimeout=${config.timeout_seconds}`,
+  ];
+  if (target.identity_file) args.push('-i', target.identity_file);
+  args.push(`${target.user}@${target.host}`);
+
+  try {
+    await runProcess('sftp', args);
+  } finally {
+    await fs.rm(batchPath, { force: true });
+  }
+  return { location: `sftp://${target.user}@${target.host}:${target.port}${remoteDir}` };
+}
+
+const DELIVERY_ADAPTERS = {
+  copy: deliverByCopy,
+  webhook: deliverByWebhook,
+  s3: deliverToS3,
+  sftp: deliverBySftp,
+};
+
+async function loadDeliveryQueue() {
+  try {
+    return await readJsonFile(deliveryQueuePath);
+  } catch (error) {
+    if (error.code === 'ENOENT') return [];
+    throw new Error(`Failed to read ${deliveryQueuePath}. ${error.message}`);
+  }
+}
+
+async function readDeliveryStatus(jobDir) {
+  try {
+    return await readJsonFile(path.join(jobDir, DELIVERY_STATUS_NAME));
+  } catch (error) {
+    if (error.code === 'ENOENT') return { status: 'pending', targets: {} };
+    throw error;
+  }
+}
+
+// The job's delivery.json is "delivered" only when every target is; retention keeps it until then.
+async function updateDeliveryStatus(jobDir, targetName, targetStatus) {
+  const status = await readDeliveryStatus(jobDir);
+  status.targets[targetName] = { ...status.targets[targetName], ...targetStatus };
+  const states = Object.values(status.targets).map((entry) => entry.status);
+  status.status = states.every((state) => state === 'delivered')
+    ? 'delivered'
+    : states.includes('pending')
+      ? 'pending'
+      : 'failed';
+  status.updated_at = new Date().toISOString();
+  await writeJsonFile(path.join(jobDir, DELIVERY_STATUS_NAME), status);
+  return status;
+}
+
+async function enqueueDelivery(jobDir, config) {
+  const jobName = path.basename(jobDir);
+  const queue = (await loadDeliveryQueue()).filter((entry) => entry.job !== jobName);
+  const now = new Date().toISOString();
+  for (const target of config.targets) {
+    queue.push({ job: jobName, target: target.name, attempts: 0, next_attempt_at: now, last_error: null });
+    await updateDeliveryStatus(jobDir, target.name, { status: 'pending', attempts: 0, last_error: null });
+  }
+  await writeJsonFile(deliveryQueuePath, queue);
+}
+
+function deliveryRetryDelaySeconds(config, attempts) {
+  return Math.min(config.retry_max_seconds, config.retry_base_seconds * 2 ** (attempts - 1));
+}
+
+// Works through every due queue entry. The queue is rewritten after each attempt, so a crash
+// mid-way repeats at most one upload.
+async function processDeliveryQueue(config, onlyJob = null) {
+  const summary = { delivered: 0, retrying: 0, failed: 0 };
+  const targets = new Map(config.targets.map((target) => [target.name, target]));
+  let queue = await loadDeliveryQueue();
+  const due = queue.filter(
+    (entry) => Date.parse(entry.next_attempt_at) <= Date.now() && (onlyJob === null || entry.job === onlyJob),
+  );
+
+  for (const entry of due) {
+    const jobDir = path.join(outputJobsDir, entry.job);
+    const target = targets.get(entry.target);
+    queue = queue.filter((item) => item !== entry);
+    if (!target || !existsSync(jobDir)) {
+      log(`Delivery: dropped ${entry.job} -> ${entry.target}, ${target ? 'job folder is gone' : 'target no longer configured'}.`);
+      await writeJsonFile(deliveryQueuePath, queue);
+      continue;
+    }
+
+    const attempts = entry.attempts + 1;
+    try {
+      const files = await listDeliverableFiles(jobDir);
+      const result = await DELIVERY_ADAPTERS[target.type](target, jobDir, files, config);
+      await updateDeliveryStatus(jobDir, target.name, {
+        status: 'delivered',
+        attempts,
+        delivered_at: new Date().toISOString(),
+        last_error: null,
+        next_attempt_at: null,
+        ...result,
+      });
+      summary.delivered += 1;
+      log(`Delivery: ${entry.job} -> ${target.name} (${target.type}) delivered, ${files.length} file(s).`);
+    } catch (error) {
+      if (attempts >= config.max_attempts) {
+        await updateDeliveryStatus(jobDir, target.name, { status: 'failed', attempts, last_error: error.message, next_attempt_at: null });
+        summary.failed += 1;
+        log(`Delivery: ${entry.job} -> ${target.name} failed for good after ${attempts} attempt(s). ${error.message}`);
+      } else {
+        const nextAttemptAt = new Date(Date.now() + deliveryRetryDelaySeconds(config, attempts) * 1000).toISOString();
+        queue.push({ ...entry, attempts, next_attempt_at: nextAttemptAt, last_error: error.message });
+        await updateDeliveryStatus(jobDir, target.name, { status: 'pending', attempts, last_error: error.message, next_attempt_at: nextAttemptAt });
+        summary.retrying += 1;
+        log(`Delivery: ${entry.job} -> ${target.name} attempt ${attempts} failed, retry at ${nextAttemptAt}. ${error.message}`);
+      }
+    }
+    await writeJsonFile(deliveryQueuePath, queue);
+  }
+
+  return { ...summary, queued: queue.length };
+}
+
+// Runs right after publishing, still under the run lock. Delivery problems are logged and
+// retried later; they never turn a published job into a failed run.
+async function deliverAfterJob(jobDir) {
+  try {
+    const config = await loadDeliveryConfig();
+    if (!config || config.targets.length === 0) return null;
+    await enqueueDelivery(jobDir, config);
+    // Only the new job: a slow backlog would otherwise hold the run lock; "deliver" and the daemon retry it.
+    await processDeliveryQueue(config, path.basename(jobDir));
+    return (await readDeliveryStatus(jobDir)).status;
+  } catch (error) {
+    log(`Warning: delivery failed. ${error.message}`);
+    return 'pending';
+  }
+}
+
+async function runDelivery(jobArg) {
+  const config = await loadDeliveryConfig();
+  if (!config || config.targets.length === 0) {
+    throw new Error(`No delivery targets configured. Create ${deliveryConfigPath} first.`);
+  }
+
+  const lockAcquired = await acquireLock();
+  if (!lockAcquired) {
+    log('Delivery skipped: a run is currently active.');
+    return { status: 'skip', reason: 'locked' };
+  }
+
+  try {
+    if (jobArg) {
+      // Re-sending a job puts every target back in the queue with a fresh attempt counter.
+      const jobDir = resolveJobDir(jobArg, 'deliver');
+      await enqueueDelivery(jobDir, config);
+      log(`Delivery: ${path.basename(jobDir)} queued for ${config.targets.map((target) => target.name).join(', ')}.`);
+    }
+    const summary = await processDeliveryQueue(config);
+    log(
+      `Delivery done: delivered=${summary.delivered}, retrying=${summary.retrying}, failed=${summary.failed}, queued=${summary.queued}.`,
+    );
+    return { status: 'success', reason: null, ...summary };
+  } finally {
+    await releaseLock();
+  }
+}
+
+async function loadRetentionPolicy() {
+  let raw = {};
+  try {
+    raw = await readJsonFile(retentionPath);
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      throw new Error(`Failed to read ${retentionPath}. ${error.message}`);
+    }
+  }
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+    throw new Error('retention.json must contain an object.');
+  }
+
+  const policy = { ...RETENTION_DEFAULTS, ...raw };
+  for (const key of ['archive_after_days', 'delete_archives_after_days', 'quota_mb']) {
+    if (policy[key] !== null && (typeof policy[key] !== 'number' || !(policy[key] > 0))) {
+      throw new Error(`retention.json: ${key} must be a positive number or null.`);
+    }
+  }
+  if (!ARCHIVE_FORMATS.has(policy.archive_format)) {
+    throw new Error(
+      `retention.json: unknown archive_format "${policy.archive_format}". Valid values: ${[...ARCHIVE_FORMATS].join(', ')}.`,
+    );
+  }
+  if (typeof policy.run_after_job !== 'boolean') {
+    throw new Error('retention.json: run_after_job must be true or false.');
+  }
+  return policy;
+}
+
+async function directorySizeBytes(dirPath) {
+  let total = 0;
+  for (const entry of await fs.readdir(dirPath, { withFileTypes: true })) {
+    const entryPath = path.join(dirPath, entry.name);
+    total += entry.isDirectory() ? await directorySizeBytes(entryPath) : (await fs.stat(entryPath)).size;
+  }
+  return total;
+}
+
+// A job is protected while it carries a .pinned marker or a delivery.json that is not
+// "delivered" yet; retention never archives or deletes protected jobs.
+async function describeJobFolder(name) {
+  const dir = path.join(outputJobsDir, name);
+  let timestamp = null;
+  try {
+    const manifest = await readJsonFile(path.join(dir, 'manifest.json'));
+    timestamp = Date.parse(manifest.completed_at ?? manifest.created_at);
+  } catch {
+    // Older jobs fall back to the folder mtime.
+  }
+  if (!Number.isFinite(timestamp)) {
+    timestamp = (await fs.stat(dir)).mtimeMs;
+  }
+
+  let undelivered = false;
+  try {
+    undelivered = (await readJsonFile(path.join(dir, DELIVERY_STATUS_NAME))).status !== 'delivered';
+  } catch (error) {
+    if (error.code !== 'ENOENT') undelivered = true;
+  }
+
+  return {
+    kind: 'job',
+    name,
+    path: dir,
+    timestamp,
+    pinned: existsSync(path.join(dir, PINNED_MARKER)),
+    undelivered,
+    size_bytes: await directorySizeBytes(dir),
+  };
+}
+
+async function listRetentionItems() {
+  const entries = existsSync(outputJobsDir) ? await fs.readdir(outputJobsDir, { withFileTypes: true }) : [];
+  const jobs = [];
+  for (const entry of entries) {
+    if (entry.isDirectory() && entry.name.startsWith('job_')) {
+      jobs.push(await describeJobFolder(entry.name));
+    }
+  }
+
+  const archives = [];
+  const archiveEntries = existsSync(archiveDir) ? await fs.readdir(archiveDir, { withFileTypes: true }) : [];
+  for (const entry of archiveEntries) {
+    if (!entry.isFile() || !/\.(tar\.gz|zip)$/.test(entry.name)) continue;
+    const archivePath = path.join(archiveDir, entry.name);
+    const stat = await fs.stat(archivePath);
+    archives.push({ kind: 'archive', name: entry.name, path: archivePath, timestamp: stat.mtimeMs, size_bytes: stat.size });
+  }
+  return { jobs, archives };
+}
+
+async function archiveJobFolder(job, format) {
+  await fs.mkdir(archiveDir, { recursive: true });
+  const extension = format === 'zip' ? 'zip' : 'tar.gz';
+  let archiveName = `${job.name}.${extension}`;
+  // Job names can repeat once the old folder is gone, so never overwrite an older archive.
+  for (let attempt = 1; existsSync(path.join(archiveDir, archiveName)); attempt += 1) {
+    archiveName = `${directoryNameCandidate(job.name, attempt)}.${extension}`;
+  }
+  const archivePath = path.join(archiveDir, archiveName);
+  const partialPath = `${archivePath}.partial`;
+
+  // Written under a temp name first so an interrupted archive never looks complete.
+  await fs.rm(partialPath, { force: true });
+  if (format === 'zip') {
+    await runProcess('zip', ['-rq', '-X', partialPath, job.name], { cwd: outputJobsDir });
+  } else {
+    await runProcess('tar', ['-czf', partialPath, '-C', outputJobsDir, job.name]);
+  }
+  await fs.rename(partialPath, archivePath);
+  // Keep the job's own age on the archive, so delete_archives_after_days counts from the job.
+  await fs.utimes(archivePath, new Date(job.timestamp), new Date(job.timestamp));
+  await fs.rm(job.path, { recursive: true, force: true });
+
+  const stat = await fs.stat(archivePath);
+  return { kind: 'archive', name: archiveName, path: archivePath, timestamp: job.timestamp, size_bytes: stat.size };
+}
+
+async function applyRetention({ dryRun = false } = {}) {
+  const policy = await loadRetentionPolicy();
+  const now = Date.now();
+  const dayMs = 24 * 60 * 60 * 1000;
+  const { jobs, archives } = await listRetentionItems();
+  const report = { dry_run: dryRun, archived: [], deleted_archives: [], quota_deleted: [], protected: [] };
+
+  const protectedJobs = jobs.filter((job) => job.pinned || job.undelivered);
+  report.protected = protectedJobs.map((job) => ({
+    job: job.name,
+    reason: job.pinned ? 'pinned' : 'not_delivered',
+  }));
+  let liveJobs = jobs.filter((job) => !job.pinned && !job.undelivered);
+  let liveArchives = [...archives];
+
+  if (policy.archive_after_days !== null) {
+    const cutoff = now - policy.archive_after_days * dayMs;
+    for (const job of liveJobs.filter((item) => item.timestamp < cutoff)) {
+      const archive = dryRun
+        ? { ...job, kind: 'archive', name: `${job.name}.${policy.archive_format === 'zip' ? 'zip' : 'tar.gz'}` }
+        : await archiveJobFolder(job, policy.archive_format);
+      log(`Retention: ${dryRun ? 'would archive' : 'archived'} ${job.name} -> ${path.relative(rootDir, path.join(archiveDir, archive.name))}.`);
+      report.archived.push({ job: job.name, archive: archive.name });
+      liveJobs = liveJobs.filter((item) => item !== job);
+      liveArchives.push(archive);
+    }
+  }
+
+  if (policy.delete_archives_after_days !== null) {
+    const cutoff = now - policy.delete_archives_after_days * dayMs;
+    for (const archive of liveArchives.filter((item) => item.timestamp < cutoff)) {
+      if (!dryRun) await fs.rm(archive.path, { force: true });
+      log(`Retention: ${dryRun ? 'would delete' : 'deleted'} archive ${archive.name}.`);
+      report.deleted_archives.push(archive.name);
+      liveArchives = liveArchives.filter((item) => item !== archive);
+    }
+  }
+
+  if (policy.quota_mb !== null) {
+    const quotaBytes = policy.quota_mb * 1024 * 1024;
+    const sumSize = (items) => items.reduce((sum, item) => sum + item.size_bytes, 0);
+    let totalBytes = sumSize(protectedJobs) + sumSize(liveJobs) + sumSize(liveArchives);
+    const oldestFirst = [...liveArchives, ...liveJobs].sort((a, b) => a.timestamp - b.timestamp);
+    for (const item of oldestFirst) {
+      if (totalBytes <= quotaBytes) break;
+      if (!dryRun) await fs.rm(item.path, { recursive: true, force: true });
+      totalBytes -= item.size_bytes;
+      log(
+        `Retention: ${dryRun ? 'would remove' : 'removed'} ${item.kind} ${item.name} for quota (${(item.size_bytes / 1024 / 1024).toFixed(1)} MB).`,
+      );
+      report.quota_deleted.push({ kind: item.kind, name: item.name, size_bytes: item.size_bytes });
+    }
+    if (totalBytes > quotaBytes) {
+      log(
+        `Warning: output_jobs is still over quota_mb=${policy.quota_mb}; the rest is pinned or not delivered yet.`,
+      );
+    }
+    report.total_bytes = totalBytes;
+  }
+
+  return report;
 }
 
-function formatWibJobFolderName(now = new Date()) {
-  const parts = new Intl.DateTimeFormat('en-CA', {
-    timeZone: 'Asia/Jakarta',
-    year: 'numeric',
-    month: '2-digit',
-    day: '2-digit',
-    hour: '2-digit',
-    minute: '2-digit',
-    hourCycle: 'h23',
-  }).formatToParts(now);
+// Runs after each job when retention.json asks for it; cleanup problems never fail the run.
+async function applyRetentionAfterJob() {
+  try {
+    const policy = await loadRetentionPolicy();
+    if (policy.run_after_job) await applyRetention();
+  } catch (error) {
+    log(`Warning: retention failed. ${error.message}`);
+  }
+}
 
-  const map = Object.fromEntries(
-    parts
-      .filter((part) => part.type !== 'literal')
-      .map((part) => [part.type, part.value]),
-  );
+async function runRetention(dryRun) {
+  // A dry-run only looks, so like run --dry-run it skips the lock.
+  const lockAcquired = dryRun || (await acquireLock());
+  if (!lockAcquired) {
+    log('Retention skipped: a run is currently active.');
+    return { status: 'skip', reason: 'locked' };
+  }
 
-  return `job_${map.year}-${map.month}-${map.day}_${map.hour}-${map.minute}_WIB`;
+  try {
+    const report = await applyRetention({ dryRun });
+    log(
+      `Retention ${dryRun ? 'dry-run' : 'done'}: archived=${report.archived.length}, deleted_archives=${report.deleted_archives.length}, quota_deleted=${report.quota_deleted.length}, protected=${report.protected.length}.`,
+    );
+    return { status: 'success', reason: null, ...report };
+  } finally {
+    if (!dryRun) await releaseLock();
+  }
 }
 
-async function uniqueDirectoryPath(baseDir, desiredName) {
-  let attempt = 0;
-  while (true) {
-    const suffix = attempt === 0 ? '' : `_${String(attempt).padStart(2, '0')}`;
-    const candidate = path.join(baseDir, `${desiredName}${suffix}`);
-    try {
-      await fs.mkdir(candidate, { recursive: false });
-      return candidate;
-    } catch (error) {
-      if (error.code !== 'EEXIST') throw error;
-      attempt += 1;
+async function setJobPinned(jobArg, pinned) {
+  const jobDir = resolveJobDir(jobArg, pinned ? 'pin' : 'unpin');
+  const markerPath = path.join(jobDir, PINNED_MARKER);
+  if (pinned) {
+    await fs.writeFile(markerPath, `${new Date().toISOString()}\n`, 'utf8');
+  } else {
+    await fs.rm(markerPath, { force: true });
+  }
+  log(`${path.basename(jobDir)} ${pinned ? 'pinned, retention will keep it' : 'unpinned'}.`);
+  return { status: 'success', reason: null, job_dir: jobDir, pinned };
+}
+
+function findNearDuplicateGroups(imagePaths, index) {
+  const hashed = imagePaths
+    .map((filePath) => ({ filePath, phash: indexEntryFor(index, filePath)?.phash }))
+    .filter((item) => item.phash);
+
+  // Union-find over every pair within the distance threshold.
+  const parent = hashed.map((_, i) => i);
+  const find = (i) => (parent[i] === i ? i : (parent[i] = find(parent[i])));
+  for (let i = 0; i < hashed.length; i += 1) {
+    for (let j = i + 1; j < hashed.length; j += 1) {
+      if (hammingDistance(hashed[i].phash, hashed[j].phash) <= perceptualHashMaxDistance) {
+        parent[find(i)] = find(j);
+      }
     }
   }
+
+  const groups = new Map();
+  hashed.forEach((item, i) => {
+    const root = find(i);
+    if (!groups.has(root)) groups.set(root, []);
+    groups.get(root).push(item.filePath);
+  });
+  return [...groups.values()].filter((group) => group.length > 1);
 }
 
-async function uniqueFilePath(targetDir, baseName) {
-  const parsed = path.parse(baseName);
-  let attempt = 0;
+async function reportDuplicates() {
+  const [images, videos] = await Promise.all([
+    collectFilesRecursive(sourceImageDir, IMAGE_EXTENSIONS),
+    collectFilesRecursive(sourceVideoDir, VIDEO_EXTENSIONS),
+  ]);
+  const mediaIndex = await refreshMediaIndex(await loadMediaIndex(), [...images, ...videos]);
+  await writeJsonFile(mediaIndexPath, mediaIndex);
 
-  while (true) {
-    const suffix = attempt === 0 ? '' : `_${attempt}`;
-    const candidateName = `${parsed.name}${suffix}${parsed.ext}`;
-    const candidatePath = path.join(targetDir, candidateName);
+  const exactGroups = new Map();
+  for (const filePath of [...images, ...videos]) {
+    const hash = indexEntryFor(mediaIndex, filePath).sha256;
+    if (!exactGroups.has(hash)) exactGroups.set(hash, []);
+    exactGroups.get(hash).push(filePath);
+  }
 
-    try {
-      await fs.access(candidatePath, fsConstants.F_OK);
-      attempt += 1;
-    } catch {
-      return candidatePath;
-    }
+  const exact = [...exactGroups.entries()]
+    .filter(([, files]) => files.length > 1)
+    .map(([sha256, files]) => ({ sha256, files: files.map((filePath) => path.relative(rootDir, filePath)) }));
+  const near = perceptualHashEnabled
+    ? findNearDuplicateGroups(images, mediaIndex).map((files) => ({
+        files: files.map((filePath) => path.relative(rootDir, filePath)),
+      }))
+    : null;
+
+  if (jsonOutput) {
+    return { status: 'success', reason: null, scanned: images.length + videos.length, exact, near };
+  }
+
+  console.log(`Scanned ${images.length + videos.length} media file(s).`);
+  console.log(`Exact duplicate groups: ${exact.length}`);
+  exact.forEach((group, i) => {
+    console.log(`${i + 1}. sha256 ${group.sha256.slice(0, 12)}`);
+    group.files.forEach((file) => console.log(`   - ${file}`));
+  });
+
+  if (near) {
+    console.log(`Near-duplicate image groups (distance <= ${perceptualHashMaxDistance}): ${near.length}`);
+    near.forEach((group, i) => {
+      console.log(`${i + 1}.`);
+      group.files.forEach((file) => console.log(`   - ${file}`));
+    });
+  } else {
+    console.log('Near-duplicate check off (set AUTO_PREVIEW_PHASH=1 to enable).');
   }
+  return null;
 }
 
-async function moveFileSafe(sourcePath, destinationPath) {
+function groupStockByFolder(filePaths, sourceRoot) {
+  const counts = {};
+  for (const filePath of filePaths) {
+    const segments = path.relative(sourceRoot, filePath).split(path.sep);
+    const folder = segments.length > 1 ? segments[0] : '(root)';
+    counts[folder] = (counts[folder] ?? 0) + 1;
+  }
+  return counts;
+}
+
+async function buildInventory(profile) {
+  const [images, videos] = await Promise.all([
+    collectFilesRecursive(sourceImageDir, IMAGE_EXTENSIONS),
+    collectFilesRecursive(sourceVideoDir, VIDEO_EXTENSIONS),
+  ]);
+  const captions = normalizeCaptionEntries(await readJsonFile(captionsPath));
+  const imageFolders = groupStockByFolder(images, sourceImageDir);
+  const videoFolders = groupStockByFolder(videos, sourceVideoDir);
+  const folders = [...new Set([...Object.keys(imageFolders), ...Object.keys(videoFolders)])].sort();
+
+  return {
+    profile: profile.name,
+    stock: { images: images.length, videos: videos.length },
+    folders: folders.map((folder) => ({
+      folder,
+      images: imageFolders[folder] ?? 0,
+      videos: videoFolders[folder] ?? 0,
+    })),
+    jobs_remaining: {
+      min: forecastJobsRemaining(images.length, videos.length, profile, 'largest'),
+      max: forecastJobsRemaining(images.length, videos.length, profile, 'smallest'),
+    },
+    captions: { total: captions.length, unused: captions.filter((entry) => !entry.used).length },
+  };
+}
+
+async function loadLowStockState() {
   try {
-    await fs.rename(sourcePath, destinationPath);
+    return await readJsonFile(lowStockStatePath);
   } catch (error) {
-    if (error.code !== 'EXDEV') throw error;
-    await fs.copyFile(sourcePath, destinationPath, fsConstants.COPYFILE_EXCL);
-    await fs.unlink(sourcePath);
+    if (error.code === 'ENOENT') return {};
+    throw new Error(`Failed to read ${lowStockStatePath}. ${error.message}`);
   }
 }
 
-async function ensureFfmpegAvailable() {
+async function sendLowStockAlert(payload) {
+  const body = JSON.stringify(payload);
+  if (lowStockWebhook) {
+    const response = await fetch(lowStockWebhook, {
+      method: 'POST',
+      headers: { 'content-type': 'application/json' },
+      body,
+      signal: AbortSignal.timeout(ALERT_TIMEOUT_MS),
+    });
+    if (!response.ok) {
+      throw new Error(`Alert webhook answered ${response.status} ${response.statusText}.`);
+    }
+  }
+  if (lowStockCommand) {
+    await runProcess('sh', ['-c', lowStockCommand], { env: { AUTO_PREVIEW_ALERT_PAYLOAD: body } });
+  }
+}
+
+// Fires once per profile when the pessimistic forecast drops to the threshold, then stays
+// quiet until a refill pushes the forecast above it again.
+async function checkLowStock(profile) {
+  if (lowStockRuns === 0 || (!lowStockWebhook && !lowStockCommand)) return;
+
+  const inventory = await buildInventory(profile);
+  const state = await loadLowStockState();
+  const previous = state[profile.name] ?? { armed: true };
+  const low = inventory.jobs_remaining.min <= lowStockRuns;
+
+  if (!low) {
+    if (!previous.armed) {
+      log(`Low-stock alert re-armed for profile "${profile.name}": ${inventory.jobs_remaining.min} job(s) left.`);
+      state[profile.name] = { armed: true, rearmed_at: new Date().toISOString() };
+      await writeJsonFile(lowStockStatePath, state);
+    }
+    return;
+  }
+  if (!previous.armed) return;
+
+  const firedAt = new Date().toISOString();
+  await sendLowStockAlert({
+    event: 'low_stock',
+    fired_at: firedAt,
+    root: rootDir,
+    channel: activeChannel?.name ?? null,
+    threshold_runs: lowStockRuns,
+    ...inventory,
+  });
+  state[profile.name] = { armed: false, fired_at: firedAt, jobs_remaining: inventory.jobs_remaining.min };
+  await writeJsonFile(lowStockStatePath, state);
+  log(`Low-stock alert sent for profile "${profile.name}": ${inventory.jobs_remaining.min} job(s) left.`);
+}
+
+// The job is already published (or skipped); a failing alert hook must not change that result.
+async function checkLowStockSafely(profile) {
   try {
-    await runProcess('ffmpeg', ['-hide_banner', '-version']);
+    await checkLowStock(profile);
   } catch (error) {
-    throw new Error(
-      `ffmpeg is required to trim videos before output. Original error: ${error.message}`,
-    );
+    log(`Warning: low-stock check failed. ${error.message}`);
   }
 }
 
-async function trimVideoAndMove(sourcePath, destinationPath, maxSeconds) {
-  const parsed = path.parse(destinationPath);
-  const tempDestinationPath = path.join(parsed.dir, `${parsed.name}.tmp${parsed.ext}`);
-  await fs.rm(tempDestinationPath, { force: true });
+async function reportInventory(requestedProfile) {
+  const profile = await loadProfile(requestedProfile);
+  const inventory = await buildInventory(profile);
+  const alert = (await loadLowStockState())[profile.name] ?? { armed: true };
 
-  try {
-    await runProcess('ffmpeg', [
-      '-hide_banner',
-      '-loglevel',
-      'error',
-      '-y',
-      '-i',
-      sourcePath,
-      '-t',
-      String(maxSeconds),
-      '-c',
-      'copy',
-      tempDestinationPath,
-    ]);
+  if (jsonOutput) {
+    return { status: 'success', reason: null, ...inventory, low_stock: { threshold_runs: lowStockRuns, ...alert } };
+  }
 
-    await fs.rename(tempDestinationPath, destinationPath);
-    await fs.unlink(sourcePath);
-  } catch (error) {
-    await fs.rm(tempDestinationPath, { force: true });
-    throw new Error(
-      `Failed to trim video "${sourcePath}" to ${maxSeconds}s. ${error.message}`,
+  if (activeChannel) console.log(`Channel: ${activeChannel.name}`);
+  console.log(`Profile: ${inventory.profile}`);
+  console.log(`Stock: images=${inventory.stock.images}, videos=${inventory.stock.videos}`);
+  for (const entry of inventory.folders) {
+    console.log(`  - ${entry.folder}: images=${entry.images}, videos=${entry.videos}`);
+  }
+  const { min, max } = inventory.jobs_remaining;
+  console.log(`Jobs remaining: ${min === max ? min : `${min}-${max}`}`);
+  console.log(`Unused captions: ${inventory.captions.unused}/${inventory.captions.total}`);
+  if (lowStockRuns > 0) {
+    console.log(
+      `Low-stock alert: threshold ${lowStockRuns} run(s), ${alert.armed ? 'armed' : `fired at ${alert.fired_at}`}.`,
     );
+  } else {
+    console.log('Low-stock alert off (set AUTO_PREVIEW_LOW_STOCK_RUNS).');
   }
+  return null;
 }
 
-async function run() {
-  await ensureDirectories();
+async function loadHistory() {
+  let content;
+  try {
+    content = await fs.readFile(historyPath, 'utf8');
+  } catch (error) {
+    if (error.code === 'ENOENT') return [];
+    throw new Error(`Failed to read ${historyPath}. ${error.message}`);
+  }
 
-  const lockAcquired = await acquireLock();
-  if (!lockAcquired) {
-    log('Run skipped: previous execution is still active.');
-    return;
+  const records = [];
+  content.split('\n').forEach((line, index) => {
+    if (!line.trim()) return;
+    try {
+      records.push(JSON.parse(line));
+    } catch {
+      log(`Warning: skipping unreadable line ${index + 1} in ${historyPath}.`);
+    }
+  });
+  return records;
+}
+
+function averageOf(values) {
+  return values.length > 0 ? Math.round(values.reduce((sum, value) => sum + value, 0) / values.length) : null;
+}
+
+function countBy(values) {
+  const counts = new Map();
+  for (const value of values) counts.set(value, (counts.get(value) ?? 0) + 1);
+  return counts;
+}
+
+async function buildStats(days) {
+  const cutoff = days === null ? null : Date.now() - days * 24 * 60 * 60 * 1000;
+  const history = await loadHistory();
+  // An "undone" record cancels the latest earlier success with that job name. Folder names can
+  // come back after an undo, so matching only by name would also cancel a later job.
+  const undoneRuns = new Set();
+  history.forEach((record, index) => {
+    if (record.status !== 'undone') return;
+    const undone = history
+      .slice(0, index)
+      .findLast((candidate) => candidate.status === 'success' && candidate.job_name === record.job_name && !undoneRuns.has(candidate));
+    if (undone) undoneRuns.add(undone);
+  });
+  const records = history.filter(
+    (record) => record.status !== 'undone' && (cutoff === null || Date.parse(record.started_at) >= cutoff),
+  );
+  const successes = records.filter((record) => record.status === 'success' && !undoneRuns.has(record));
+  const skips = records.filter((record) => record.status === 'skip');
+  const rate = (count) => (records.length > 0 ? Number((count / records.length).toFixed(3)) : 0);
+
+  // Bank entries start at zero so "least used" also surfaces tags and captions never picked.
+  const hashtagCounts = new Map(normalizeHashtags(await readJsonFile(hashtagsPath)).map((entry) => [entry.tag, 0]));
+  const captions = normalizeCaptionEntries(await readJsonFile(captionsPath));
+  const captionIds = new Map(captions.map((entry) => [entry.text, entry.id]));
+  const captionCounts = new Map(captions.map((entry) => [entry.text, 0]));
+  for (const record of successes) {
+    for (const tag of record.hashtags ?? []) hashtagCounts.set(tag, (hashtagCounts.get(tag) ?? 0) + 1);
+    // Records older than caption_template only have an id that may point at another caption by now.
+    if (record.caption_template) {
+      captionCounts.set(record.caption_template, (captionCounts.get(record.caption_template) ?? 0) + 1);
+    }
+  }
+  const hashtagUsage = [...hashtagCounts]
+    .map(([tag, count]) => ({ tag, count }))
+    .sort((a, b) => b.count - a.count || a.tag.localeCompare(b.tag));
+  // caption_id is the current bank number; null when the caption has since been removed.
+  const captionUsage = [...captionCounts]
+    .map(([text, count]) => ({ caption_id: captionIds.get(text) ?? null, text, count }))
+    .sort((a, b) => b.count - a.count || (a.caption_id ?? Infinity) - (b.caption_id ?? Infinity));
+
+  return {
+    period_days: days,
+    runs: records.length,
+    first_run_at: records[0]?.started_at ?? null,
+    last_run_at: records.at(-1)?.started_at ?? null,
+    by_status: {
+      success: successes.length,
+      skip: skips.length,
+      error: records.filter((record) => record.status === 'error').length,
+      undone: records.filter((record) => undoneRuns.has(record)).length,
+    },
+    jobs_per_day: [...countBy(successes.map((record) => zonedTimeParts(new Date(record.started_at), timeZone).date))]
+      .sort(([a], [b]) => a.localeCompare(b))
+      .map(([date, jobs]) => ({ date, jobs })),
+    skip_rate: rate(skips.length),
+    skip_reasons: [...countBy(skips.map((record) => record.reason))]
+      .sort((a, b) => b[1] - a[1])
+      .map(([reason, count]) => ({ reason, count, rate: rate(count) })),
+    average_duration_ms: {
+      success: averageOf(successes.map((record) => record.duration_ms)),
+      all: averageOf(records.map((record) => record.duration_ms)),
+    },
+    average_ffmpeg_ms_per_file: averageOf(
+      successes.flatMap((record) => (record.media ?? []).map((entry) => entry.ffmpeg_ms)).filter(Number.isFinite),
+    ),
+    hashtags: {
+      most_used: hashtagUsage.slice(0, STATS_TOP_N),
+      least_used: hashtagUsage.slice(-STATS_TOP_N).reverse(),
+    },
+    captions: {
+      total: captions.length,
+      never_used: captionUsage.filter((entry) => entry.caption_id !== null && entry.count === 0).length,
+      usage: captionUsage,
+    },
+  };
+}
+
+function formatSeconds(ms) {
+  return ms === null ? '-' : `${(ms / 1000).toFixed(1)}s`;
+}
+
+async function reportStats(daysArg) {
+  let days = null;
+  if (daysArg !== undefined) {
+    days = Number(daysArg);
+    if (!Number.isInteger(days) || days <= 0) {
+      throw new Error(`Usage: run_job.mjs stats [days]. days must be a positive integer. Received: "${daysArg}".`);
+    }
+  }
+  const stats = await buildStats(days);
+
+  if (jsonOutput) {
+    return { status: 'success', reason: null, ...stats };
+  }
+
+  if (activeChannel) console.log(`Channel: ${activeChannel.name}`);
+  if (stats.runs === 0) {
+    console.log(`No runs recorded${days === null ? '' : ` in the last ${days} day(s)`} (${historyPath}).`);
+    return null;
+  }
+  console.log(`Runs: ${stats.runs}${days === null ? '' : ` in the last ${days} day(s)`}, since ${stats.first_run_at}`);
+  console.log(
+    `Status: success=${stats.by_status.success}, skip=${stats.by_status.skip}, error=${stats.by_status.error}, undone=${stats.by_status.undone}`,
+  );
+  console.log(`Jobs per day (${timeZone}):`);
+  for (const entry of stats.jobs_per_day) {
+    console.log(`  - ${entry.date}: ${entry.jobs}`);
+  }
+  console.log(`Skip rate: ${(stats.skip_rate * 100).toFixed(1)}%`);
+  for (const entry of stats.skip_reasons) {
+    console.log(`  - ${entry.reason}: ${entry.count} (${(entry.rate * 100).toFixed(1)}%)`);
   }
+  console.log(
+    `Average run time: ${formatSeconds(stats.average_duration_ms.success)} (success), ${formatSeconds(stats.average_duration_ms.all)} (all runs)`,
+  );
+  console.log(`Average ffmpeg time per file: ${formatSeconds(stats.average_ffmpeg_ms_per_file)}`);
+  const formatTags = (entries) => entries.map((entry) => `${entry.tag} (${entry.count})`).join(', ') || '-';
+  console.log(`Most used hashtags: ${formatTags(stats.hashtags.most_used)}`);
+  console.log(`Least used hashtags: ${formatTags(stats.hashtags.least_used)}`);
+  const topCaptions = stats.captions.usage
+    .filter((entry) => entry.count > 0)
+    .slice(0, STATS_TOP_N)
+    .map((entry) => `${entry.caption_id === null ? '(removed)' : `#${entry.caption_id}`} (${entry.count}x)`);
+  console.log(
+    `Captions: ${stats.captions.total - stats.captions.never_used}/${stats.captions.total} used at least once; top: ${topCaptions.join(', ') || '-'}`,
+  );
+  return null;
+}
 
+// Every check resolves to { name, status: pass|warn|fail, detail }; a throw is a fail.
+async function runDoctorCheck(name, check) {
   try {
-    const [images, videos] = await Promise.all([
-      collectFilesRecursive(sourceImageDir, IMAGE_EXTENSIONS),
-      collectFilesRecursive(sourceVideoDir, VIDEO_EXTENSIONS),
-    ]);
+    const { status = 'pass', detail, ...extra } = await check();
+    return { name, status, detail, ...extra };
+  } catch (error) {
+    return { name, status: 'fail', detail: error.message };
+  }
+}
 
-    const composition = chooseComposition(images.length, videos.length);
-    if (!composition) {
-      log(
-        `Run skipped: not enough source media. images=${images.length}, videos=${videos.length}, total=${images.length + videos.length}.`,
-      );
-      return;
+async function checkLayout() {
+  const missing = [];
+  for (const dirPath of [dataDir, sourceImageDir, sourceVideoDir, outputJobsDir]) {
+    try {
+      if (!(await fs.stat(dirPath)).isDirectory()) missing.push(path.relative(rootDir, dirPath));
+    } catch {
+      missing.push(path.relative(rootDir, dirPath));
     }
+  }
+  if (missing.length > 0) {
+    const hint = activeChannel ? `Run "run_job.mjs --channel ${activeChannel.name} inventory" once to create them.` : 'Run scripts/bootstrap.sh.';
+    return { status: 'fail', detail: `Missing under ${rootDir}: ${missing.join(', ')}. ${hint}` };
+  }
+  return { detail: `Layout OK under ${rootDir}.` };
+}
+
+async function readBankForDoctor(filePath) {
+  try {
+    return await readJsonFile(filePath);
+  } catch (error) {
+    throw new Error(`${filePath}: ${error.message}`);
+  }
+}
+
+async function checkCaptionBank() {
+  const captionVariables = await loadCaptionVariables();
+  const knownVariables = new Set([...BUILTIN_TEMPLATE_VARIABLES, ...Object.keys(captionVariables)]);
+  const { valid: captions, invalid } = splitCaptionTemplates(normalizeCaptionEntries(await readBankForDoctor(captionsPath)), knownVariables);
+  if (captions.length === 0 && invalid.length > 0) {
+    throw new Error(`${captionsPath}: every caption has an invalid template.`);
+  }
+  const fresh = captions.filter((entry) => !entry.used).length;
+  const skipped = invalid.map((entry) => `#${entry.id} (${entry.problems.join(', ')})`).join('; ');
+  return {
+    status: fresh > 0 && invalid.length === 0 ? 'pass' : 'warn',
+    detail: `${captions.length} caption(s), ${fresh} fresh${fresh > 0 ? '' : ' (all used, the next run resets usage)'}.${
+      invalid.length > 0 ? ` Skipped by runs, invalid template: ${skipped}.` : ''
+    }`,
+    total: captions.length,
+    fresh,
+    invalid: invalid.length,
+  };
+}
+
+async function checkHashtagBank() {
+  const hashtags = normalizeHashtags(await readBankForDoctor(hashtagsPath));
+  const pinned = hashtags.filter((entry) => entry.pinned).length;
+  return {
+    status: hashtags.length > 0 ? 'pass' : 'warn',
+    detail: `${hashtags.length} hashtag(s), ${pinned} pinned.`,
+    total: hashtags.length,
+    pinned,
+  };
+}
+
+async function checkFfmpeg() {
+  const versions = {};
+  for (const binary of ['ffmpeg', 'ffprobe']) {
+    const stdout = await runProcess(binary, ['-hide_banner', '-version']).catch((error) => {
+      throw new Error(`${binary} not usable from PATH. ${error.message}`);
+    });
+    versions[binary] = stdout.split(/\r?\n/, 1)[0].trim();
+  }
+  return { detail: versions.ffmpeg || 'ffmpeg found.', versions };
+}
 
-    if (composition.videos > 0) {
-      await ensureFfmpegAvailable();
+async function findOnPath(binary) {
+  for (const dir of (process.env.PATH ?? '').split(path.delimiter).filter(Boolean)) {
+    const candidate = path.join(dir, binary);
+    try {
+      await fs.access(candidate, fsConstants.X_OK);
+      return candidate;
+    } catch {
+      // Not in this PATH entry.
     }
+  }
+  return null;
+}
 
-    const selectedImages = pickRandomItems(images, composition.images);
-    const selectedVideos = pickRandomItems(videos, composition.videos);
-    const selectedMedia = [...selectedImages, ...selectedVideos];
-    const selectedVideoSet = new Set(selectedVideos);
+// sftp delivery and retention archives shell out only when configured, so without this a
+// missing binary first shows up as a failed upload or archive.
+async function checkConfiguredTools() {
+  const needed = new Map();
+  for (const target of (await loadDeliveryConfig())?.targets ?? []) {
+    if (target.type === 'sftp') needed.set('sftp', `delivery target "${target.name}"`);
+  }
+  const policy = await loadRetentionPolicy();
+  if (policy.archive_after_days !== null) {
+    needed.set(policy.archive_format === 'zip' ? 'zip' : 'tar', `retention archive_format ${policy.archive_format}`);
+  }
+  if (needed.size === 0) {
+    return { detail: 'No delivery or retention target needs an external tool.', binaries: {} };
+  }
 
-    const captionsRaw = await readJsonFile(captionsPath);
-    const normalizedCaptions = normalizeCaptionEntries(captionsRaw);
-    const { captionText, nextCaptions } = pickCaption(normalizedCaptions);
+  const binaries = {};
+  const missing = [];
+  for (const [binary, reason] of needed) {
+    binaries[binary] = await findOnPath(binary);
+    if (!binaries[binary]) missing.push(`${binary} (${reason})`);
+  }
+  if (missing.length > 0) {
+    throw new Error(`Not found on PATH: ${missing.join(', ')}.`);
+  }
+  return { detail: Object.entries(binaries).map(([binary, found]) => `${binary}: ${found}`).join(', '), binaries };
+}
 
-    const hashtagsRaw = await readJsonFile(hashtagsPath);
-    const hashtags = normalizeHashtags(hashtagsRaw);
-    const selectedHashtags = pickHashtags(hashtags);
+async function checkRunLock() {
+  const inspected = await inspectLock();
+  if (inspected.state === 'free') return { detail: inspected.detail, state: 'free' };
+  const detail =
+    inspected.state === 'held'
+      ? `Held: ${inspected.detail}.`
+      : `Stale lock: ${inspected.detail}. The next run takes it over, or run "lock break".`;
+  return { status: 'warn', detail, state: inspected.state, pid: inspected.lock?.pid ?? null };
+}
 
-    const jobFolderName = formatWibJobFolderName();
-    const jobDir = await uniqueDirectoryPath(outputJobsDir, jobFolderName);
+async function checkStock(requestedProfile) {
+  const profile = await loadProfile(requestedProfile);
+  const [images, videos] = await Promise.all([
+    collectFilesRecursive(sourceImageDir, IMAGE_EXTENSIONS),
+    collectFilesRecursive(sourceVideoDir, VIDEO_EXTENSIONS),
+  ]);
+  const stock = { images: images.length, videos: videos.length };
+  // Raw counts only: duplicate filtering needs hashing and can only lower this.
+  const enough = chooseComposition(stock.images, stock.videos, profile) !== null;
+  return {
+    status: enough ? 'pass' : 'warn',
+    detail: `Profile "${profile.name}": images=${stock.images}, videos=${stock.videos}${enough ? '' : ' - not enough for one job'}.`,
+    profile: profile.name,
+    stock,
+  };
+}
 
-    for (const sourcePath of selectedMedia) {
-      const destinationPath = await uniqueFilePath(jobDir, path.basename(sourcePath));
-      if (selectedVideoSet.has(sourcePath)) {
-        await trimVideoAndMove(sourcePath, destinationPath, videoMaxSeconds);
-        continue;
-      }
+async function checkOutputWritable() {
+  await fs.access(outputJobsDir, fsConstants.W_OK);
+  const probeDir = await fs.mkdtemp(path.join(outputJobsDir, '.doctor-'));
+  await fs.rm(probeDir, { recursive: true, force: true });
 
-      await moveFileSafe(sourcePath, destinationPath);
-    }
+  const leftovers = (await fs.readdir(outputJobsDir)).filter((name) => name.startsWith(STAGING_PREFIX));
+  if (leftovers.length > 0) {
+    return {
+      status: 'warn',
+      detail: `Writable, but ${leftovers.length} interrupted staging folder(s) wait for recovery on the next run.`,
+    };
+  }
+  return { detail: `${outputJobsDir} is writable.` };
+}
 
-    const hashtagsLine = selectedHashtags.join(' ');
-    const captionFileContent = `${captionText}\n${hashtagsLine}\n`;
-    await fs.writeFile(path.join(jobDir, 'caption.txt'), captionFileContent, 'utf8');
+async function checkDiskSpace() {
+  const stats = await fs.statfs(rootDir);
+  const freeMb = Math.floor((stats.bavail * stats.bsize) / (1024 * 1024));
+  return {
+    status: freeMb >= minFreeDiskMb ? 'pass' : 'fail',
+    detail: `${freeMb} MB free (minimum ${minFreeDiskMb} MB, AUTO_PREVIEW_MIN_FREE_MB).`,
+    free_mb: freeMb,
+  };
+}
 
-    await writeJsonFile(captionsPath, nextCaptions);
+async function runDoctor(requestedProfile) {
+  const checks = [];
+  checks.push(await runDoctorCheck('layout', checkLayout));
+  checks.push(await runDoctorCheck('captions', checkCaptionBank));
+  checks.push(await runDoctorCheck('hashtags', checkHashtagBank));
+  checks.push(await runDoctorCheck('ffmpeg', checkFfmpeg));
+  checks.push(await runDoctorCheck('tools', checkConfiguredTools));
+  checks.push(await runDoctorCheck('run_lock', checkRunLock));
+  checks.push(await runDoctorCheck('stock', () => checkStock(requestedProfile)));
+  checks.push(await runDoctorCheck('output_writable', checkOutputWritable));
+  checks.push(await runDoctorCheck('disk_space', checkDiskSpace));
 
-    log(
-      `Run success: ${selectedMedia.length} media moved to ${jobDir}. images=${composition.images}, videos=${composition.videos}, hashtags=${selectedHashtags.length}, video_max_seconds=${videoMaxSeconds}.`,
-    );
-  } finally {
-    await releaseLock();
+  const status = checks.some((check) => check.status === 'fail')
+    ? 'fail'
+    : checks.some((check) => check.status === 'warn')
+      ? 'warn'
+      : 'pass';
+  if (status === 'fail') {
+    process.exitCode = 1;
+  }
+
+  if (jsonOutput) {
+    return { status, checks };
+  }
+
+  for (const check of checks) {
+    console.log(`[${check.status.toUpperCase()}] ${check.name}: ${check.detail}`);
+  }
+  console.log(`Doctor: ${status.toUpperCase()}`);
+  return null;
+}
+
+async function run() {
+  const cliArgs = parseCliArgs(process.argv.slice(2));
+  jsonOutput = cliArgs.json;
+  const channelName = cliArgs.channel || process.env.AUTO_PREVIEW_CHANNEL;
+
+  if (cliArgs['all-channels']) {
+    if (cliArgs.command !== 'run' || cliArgs['dry-run'] || cliArgs.channel) {
+      throw new Error('--all-channels only works with a plain "run"; use --channel <name> for everything else.');
+    }
+    emitResult(await runDueChannels(cliArgs.profile));
+    return;
+  }
+  if (channelName) {
+    await useChannel(channelName);
+  }
+  const requestedProfile = cliArgs.profile || activeChannel?.profile || process.env.AUTO_PREVIEW_PROFILE;
+
+  switch (cliArgs.command) {
+    case 'run': {
+      // Dry-run never takes the lock or writes anything, so it is safe next to a live schedule.
+      if (cliArgs['dry-run']) {
+        await dryRun(await loadProfile(requestedProfile));
+        return;
+      }
+      const schedule = await loadSchedule();
+      const rules = { ...schedule, ...activeChannel?.posting_rules };
+      emitResult(await runScheduledJob(requestedProfile, rules));
+      return;
+    }
+    case 'daemon':
+      await runDaemon(cliArgs.profile);
+      return;
+    case 'undo':
+      await ensureDirectories();
+      emitResult(await undoJob(cliArgs.commandArgs[0]));
+      return;
+    case 'duplicates':
+      await ensureDirectories();
+      emitResult(await reportDuplicates());
+      return;
+    case 'deliver':
+      await ensureDirectories();
+      emitResult(await runDelivery(cliArgs.commandArgs[0]));
+      return;
+    case 'retention':
+      await ensureDirectories();
+      emitResult(await runRetention(cliArgs['dry-run']));
+      return;
+    case 'pin':
+    case 'unpin':
+      emitResult(await setJobPinned(cliArgs.commandArgs[0], cliArgs.command === 'pin'));
+      return;
+    case 'inventory':
+      await ensureDirectories();
+      emitResult(await reportInventory(requestedProfile));
+      return;
+    case 'stats':
+      emitResult(await reportStats(cliArgs.commandArgs[0]));
+      return;
+    case 'lock':
+      emitResult(await runLockCommand(cliArgs.commandArgs[0], cliArgs.force));
+      return;
+    case 'doctor':
+      // Read-only on purpose: no ensureDirectories, so a broken layout is reported, not repaired.
+      emitResult(await runDoctor(requestedProfile));
+      return;
+    default:
+      throw new Error(`Unknown command "${cliArgs.command}". Valid commands: run, daemon, undo, duplicates, deliver, retention, pin, unpin, inventory, stats, lock, doctor.`);
   }
 }
 
-run().catch((error) => {
+run().catch(async (error) => {
   console.error(error);
+  emitResult({ status: 'error', reason: error.message, stock: await countSourceStock() });
   process.exitCode = 1;
 });